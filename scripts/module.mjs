@@ -1,40 +1,444 @@
 // scripts/module.mjs
-const { HandlebarsApplicationMixin, DocumentSheetV2 } = foundry.applications.api;
+const {HandlebarsApplicationMixin, ApplicationV2, DocumentSheetV2} = foundry.applications.api;
+
+/* -------------------------
+   System adapters
+   ------------------------- */
+
+/**
+ * Everything that differs between the supported game systems is read through an adapter.
+ * This adapter is for dnd5e; systems forked from it only need to override what they do differently.
+ */
+class Dnd5eAdapter {
+  /**
+   * The id of the system.
+   * @type {string}
+   */
+  static id = "dnd5e";
+
+  /**
+   * The system's mixin for dialog styling, if it has one.
+   * @type {Function|null}
+   */
+  static get dialogMixin() {
+    return globalThis[this.id]?.applications?.DialogMixin ?? null;
+  }
+
+  /**
+   * The system's global namespace.
+   * @type {object}
+   */
+  get namespace() {
+    return globalThis[this.constructor.id] ?? {};
+  }
+
+  /**
+   * The system's configuration.
+   * @type {object}
+   */
+  get config() {
+    return CONFIG[this.i18nPrefix] ?? {};
+  }
+
+  /**
+   * The prefix of the system's localization keys and configuration.
+   * @type {string}
+   */
+  get i18nPrefix() {
+    return this.constructor.id.toUpperCase();
+  }
+
+  /** @type {object} */
+  get damageTypes() {
+    return this.config.damageTypes ?? {};
+  }
+
+  /** @type {object} */
+  get healingTypes() {
+    return this.config.healingTypes ?? {};
+  }
+
+  /**
+   * The damage and healing types together.
+   * @type {object}
+   */
+  get allDamageTypes() {
+    return foundry.utils.mergeObject(this.damageTypes, this.healingTypes, {inplace: false});
+  }
+
+  /** @type {object} */
+  get abilities() {
+    return this.config.abilities ?? {};
+  }
+
+  /**
+   * The labels of the properties a weapon can have.
+   * @type {Record<string, string>}
+   */
+  get weaponProperties() {
+    return Array.from(this.config.validProperties?.weapon ?? []).reduce((acc, p) => {
+      acc[p] = this.config.itemProperties?.[p]?.label ?? p;
+      return acc;
+    }, {});
+  }
+
+  /**
+   * Whether a weapon type is melee or ranged.
+   * @param {string} type     The weapon type, e.g. 'simpleM'.
+   * @returns {string}        'melee' or 'ranged'.
+   */
+  weaponAttackType(type) {
+    return this.config.weaponTypeMap?.[type] ?? (type?.endsWith("R") ? "ranged" : "melee");
+  }
+
+  /**
+   * The saving throw DC of a save activity.
+   * @param {Activity} activity     The activity.
+   * @returns {number}
+   */
+  getSaveDC(activity) {
+    return activity.save?.dc?.value ?? 10;
+  }
+
+  /**
+   * Resolve a formula to a number.
+   * @param {string} formula        The formula.
+   * @param {object} rollData       The roll data.
+   * @returns {number}
+   */
+  simplifyBonus(formula, rollData) {
+    return this.namespace.utils?.simplifyBonus?.(formula, rollData) ?? 0;
+  }
+
+  /**
+   * Whether the keys of a configured action were held during an event.
+   * @param {Event} event           The event.
+   * @param {string} action         The action, e.g. 'skipDialogCritical'.
+   * @returns {boolean}
+   */
+  areKeysPressed(event, action) {
+    return !!this.namespace.utils?.areKeysPressed?.(event, action);
+  }
+
+  /**
+   * The attributes of the icon of a healing button.
+   * @type {string}
+   */
+  get healingIcon() {
+    return "class='dnd5e-icon' data-src='systems/dnd5e/icons/svg/damage/healing.svg'";
+  }
+
+  /**
+   * Additional classes of the weapon picker, for the system's styling.
+   * @type {string[]}
+   */
+  get dialogClasses() {
+    return ["dnd5e2", "dialog"];
+  }
+
+  /**
+   * The selectors of the elements the module adds to.
+   * @type {object}
+   */
+  get selectors() {
+    return {
+      cardButtons: ".card-buttons",
+      damageButton: ".card-buttons button[data-action='rollDamage']",
+      saveButton: ".card-buttons button[data-action='rollSave']",
+      sheetDamage: "[data-action='addDamagePart']",
+      sheetSaveDC: "[name='save.dc.calculation']",
+      sheetItemRow: ".item-list .item[data-item-id]",
+      sheetItemControls: ".item-controls"
+    };
+  }
+}
+
+/**
+ * The adapter for sw5e, which is forked from dnd5e.
+ */
+class Sw5eAdapter extends Dnd5eAdapter {
+  static id = "sw5e";
+
+  /** @override */
+  get healingIcon() {
+    return "class='fa-solid fa-heart'";
+  }
+
+  /** @override */
+  get dialogClasses() {
+    return ["dialog"];
+  }
+}
+
+/**
+ * The adapters of the supported systems.
+ * @type {Record<string, typeof Dnd5eAdapter>}
+ */
+const SYSTEM_ADAPTERS = {dnd5e: Dnd5eAdapter, sw5e: Sw5eAdapter};
 
 class Module {
   static ID = "rollgroups";
   static get system() { return game.system.id; }
 
+  /**
+   * The adapter of the current system, or null if the system is not supported.
+   * @type {Dnd5eAdapter|null}
+   */
+  static get adapter() {
+    if (this._adapter === undefined) {
+      const Adapter = SYSTEM_ADAPTERS[game.system.id];
+      this._adapter = Adapter ? new Adapter() : null;
+    }
+    return this._adapter;
+  }
+
+  /**
+   * The weapon picker application, styled by the current system's dialog mixin if it has one.
+   * The class is created once the system is known.
+   * @type {typeof Application}
+   */
+  static get WeaponPicker() {
+    this._WeaponPicker ??= createWeaponPicker(SYSTEM_ADAPTERS[game.system.id]?.dialogMixin?.(Application) ?? Application);
+    return this._WeaponPicker;
+  }
+
   // --- Utility helpers ---
   static isNumeric(v) {
-    return !isNaN(Number(v));
+    return (v !== null) && (v !== "") && !isNaN(Number(v));
+  }
+
+  // Increase the dice count of one dice term anywhere in a formula, e.g. "@mod + 1d8[fire]" -> "@mod + 2d8[fire]".
+  // The term is chosen by its index among the formula's dice terms. A count in parentheses is increased inside them,
+  // e.g. "(@details.level)d6" -> "(@details.level + 1)d6". Only the text of the matched term is replaced, so roll data
+  // references and flavor text are kept as written. Formulas that cannot be scaled, such as those without dice or with
+  // a count in nested parentheses, are unchanged, and a warning is logged in the console.
+  static scaleDiceFormula(formula, add, {term = 0} = {}) {
+    if (!add || !formula) return formula;
+    // Flavor text, roll data references, and function names are matched so that dice are not found inside them.
+    const pattern = /\[[^\]]*\]|@[\w.-]+|(\([^()]*\)|\d*)d(\d+|%)|[a-z_]\w*/gi;
+    const dice = Array.from(formula.matchAll(pattern)).filter(m => m[2] !== undefined);
+    const target = dice[term] ?? dice[0];
+
+    let scaled = null;
+    if (target) {
+      const [text, count, faces] = target;
+      const before = formula.slice(0, target.index);
+      let number = null;
+      if (count.startsWith("(")) number = `(${count.slice(1, -1).trim()} + ${add})`;
+      else if (count || !before.trimEnd().endsWith(")")) number = Math.max((count ? Number(count) : 1) + add, 0);
+      if (number !== null) scaled = `${before}${number}d${faces}${formula.slice(target.index + text.length)}`;
+    }
+    if (!scaled || !Roll.validate(scaled)) {
+      Module._warnOnce(`Unable to scale the dice of the formula '${formula}'.`);
+      return formula;
+    }
+    return scaled;
   }
 
-  // Try to increase the dice count in a formula like "1d8+2" -> "2d8+2".
-  // If the formula doesn't start with NdM, fall back to "formula + add".
-  static scaleDiceFormula(formula, add) {
-    if (!add || add === 0) return formula;
-    // capture leading dice expression
-    const m = formula.match(/^(\s*)(\d+)\s*d\s*(\d+)(.*)$/i);
-    if (m) {
-      const leading = m[1] || "";
-      const count = Number(m[2]);
-      const sides = m[3];
-      const rest = m[4] || "";
-      const newCount = count + add;
-      return `${leading}${newCount}d${sides}${rest}`;
+  /**
+   * Determine how many scaling steps apply to an activity.
+   * @param {Activity} activity     The activity being rolled.
+   * @param {string} mode           The scaling mode: 'cantrip' for character level tiers, 'slot' for spell
+   *                                levels above the base level, or 'none'.
+   * @returns {number}
+   */
+  static getScalingSteps(activity, mode) {
+    const item = activity?.item;
+    if (!item) return 0;
+    switch (mode) {
+      case "cantrip": {
+        const details = item.actor?.system?.details ?? {};
+        const level = Number(details.level ?? details.spellLevel ?? 1) || 1;
+        return Math.floor((level + 1) / 6);
+      }
+      case "slot": return Math.max(Number(item.getFlag(Module.system, "scaling") ?? 0), 0);
+      default: return 0;
     }
-    // fallback: append a flat bonus
-    return `${formula} + ${add}`;
+  }
+
+  // Normalize an html argument to a real HTMLElement (support HTMLElement, jQuery, or [HTMLElement]).
+  static toElement(h) {
+    if (!h) return null;
+    if (h instanceof HTMLElement) return h;
+    if (h.jquery && h.length) return h[0];
+    if (Array.isArray(h) && h.length && (h[0] instanceof HTMLElement)) return h[0];
+    // Fallback: if it has querySelector, assume it's fine
+    if (typeof h.querySelector === "function") return h;
+    return null;
   }
 
   /** Initialize module. */
   static setup() {
+    // On systems without an adapter, the module does nothing but warn.
+    if (!this.adapter) {
+      console.warn(`${this.ID} | The system '${game.system.id}' is not supported.`);
+      Hooks.once("ready", () => {
+        if (game.user.isGM) ui.notifications.warn(game.i18n.format("ROLLGROUPS.UnsupportedSystem", {system: game.system.title}));
+      });
+      return;
+    }
+
+    game.settings.register(this.ID, "migrationVersion", {
+      scope: "world",
+      config: false,
+      type: Number,
+      default: 0
+    });
+
+    game.settings.register(this.ID, "cardSource", {
+      name: "ROLLGROUPS.SettingCardSource",
+      hint: "ROLLGROUPS.SettingCardSourceHint",
+      scope: "world",
+      config: true,
+      type: String,
+      default: "live",
+      choices: {
+        live: "ROLLGROUPS.SettingCardSourceLive",
+        snapshot: "ROLLGROUPS.SettingCardSourceSnapshot"
+      },
+      onChange: () => ui.chat.render()
+    });
+
+    game.settings.register(this.ID, "rollRequests", {
+      name: "ROLLGROUPS.SettingRollRequests",
+      hint: "ROLLGROUPS.SettingRollRequestsHint",
+      scope: "world",
+      config: true,
+      type: String,
+      default: "none",
+      choices: {
+        none: "ROLLGROUPS.SettingRollRequestsNone",
+        player: "USER.RolePlayer",
+        trusted: "USER.RoleTrusted",
+        assistant: "USER.RoleAssistant"
+      },
+      onChange: () => ui.chat.render()
+    });
+
+    game.settings.register(this.ID, "history", {
+      scope: "world",
+      config: false,
+      type: Object,
+      default: {}
+    });
+
+    game.settings.register(this.ID, "presets", {
+      scope: "world",
+      config: false,
+      type: Array,
+      default: []
+    });
+
+    game.settings.registerMenu(this.ID, "presets", {
+      name: "ROLLGROUPS.Presets",
+      label: "ROLLGROUPS.PresetsManage",
+      hint: "ROLLGROUPS.PresetsHint",
+      icon: "fa-solid fa-swatchbook",
+      type: PresetManager,
+      restricted: true
+    });
+
+    game.settings.register(this.ID, "keepDamageButton", {
+      scope: "world",
+      config: false,
+      type: Boolean,
+      default: false,
+      onChange: () => ui.chat.render()
+    });
+
+    game.settings.register(this.ID, "labelFormat", {
+      scope: "world",
+      config: false,
+      type: String,
+      default: "{type} ({label})",
+      onChange: () => ui.chat.render()
+    });
+
+    game.settings.register(this.ID, "playerSaves", {
+      scope: "world",
+      config: false,
+      type: Boolean,
+      default: true,
+      onChange: () => ui.chat.render()
+    });
+
+    game.settings.register(this.ID, "bladeCantripButtons", {
+      scope: "world",
+      config: false,
+      type: Boolean,
+      default: true,
+      onChange: () => ui.chat.render()
+    });
+
+    game.settings.register(this.ID, "buttonLayout", {
+      scope: "client",
+      config: false,
+      type: String,
+      default: "expanded",
+      choices: {
+        expanded: "ROLLGROUPS.SettingLayoutExpanded",
+        compact: "ROLLGROUPS.SettingLayoutCompact"
+      },
+      onChange: () => ui.chat.render()
+    });
+
+    game.settings.register(this.ID, "rollMode", {
+      scope: "client",
+      config: false,
+      type: String,
+      default: "configure",
+      choices: {
+        configure: "ROLLGROUPS.SettingRollModeConfigure",
+        fastForward: "ROLLGROUPS.SettingRollModeFastForward"
+      }
+    });
+
+    game.settings.registerMenu(this.ID, "display", {
+      name: "ROLLGROUPS.SettingsDisplay",
+      label: "ROLLGROUPS.SettingsDisplayLabel",
+      hint: "ROLLGROUPS.SettingsDisplayHint",
+      icon: "fa-solid fa-sliders",
+      type: DisplaySettings,
+      restricted: false
+    });
+
+    game.settings.registerMenu(this.ID, "audit", {
+      name: "ROLLGROUPS.Audit",
+      label: "ROLLGROUPS.AuditRun",
+      hint: "ROLLGROUPS.AuditHint",
+      icon: "fa-solid fa-clipboard-check",
+      type: AuditReport,
+      restricted: true
+    });
+
     // Hook signatures: ensure the handler signatures match Foundry's API.
-    Hooks.on(`${this.system}.preDisplayCard`, this.manageCardButtons);
-    Hooks.on(`${this.system}.preRollDamage`, this.variantDamageLabels);
+    Hooks.on(`${this.system}.preCreateUsageMessage`, this.manageCardButtons);
+    Hooks.on(`${this.system}.preRollDamageV2`, this.variantDamageLabels);
+    Hooks.on(`${this.system}.preRollDamageV2`, this.flagGroupRoll);
+    Hooks.on(`${this.system}.preRollDamageV2`, this.applyGroupCritical);
+    Hooks.on(`${this.system}.preRollDamageV2`, this.removeOffhandModifier);
+    Hooks.on(`${this.system}.preRollDamageV2`, this.addRiders);
+    Hooks.on(`${this.system}.postDamageRollConfiguration`, this.filterCritRiders);
+    Hooks.on(`${this.system}.postDamageRollConfiguration`, this.consumeGroup);
+    Hooks.on(`${this.system}.rollDamageV2`, this.consumeRiders);
+    Hooks.on("preCreateChatMessage", this.recordAttack);
+    Hooks.on("createChatMessage", this.refreshAttackCard);
     Hooks.on("renderChatMessage", this.createChatLogListeners);
-    Hooks.on("renderItemSheet", this.createConfigButton);
+    Hooks.on("renderActivitySheet", this.createConfigButton);
+    Hooks.on("renderActorSheet", this.createQuickRollControls);
+    Hooks.on("hotbarDrop", this.onHotbarDrop);
+    Hooks.on("preUpdateItem", this.preUpdateItem);
+    Hooks.on("getItemDirectoryEntryContext", (html, options) => this.addDirectoryOptions("Item", options));
+    Hooks.on("getActorDirectoryEntryContext", (html, options) => this.addDirectoryOptions("Actor", options));
+    Hooks.on("getCompendiumDirectoryEntryContext", (html, options) => this.addDirectoryOptions("Compendium", options));
+    game.socket.on(this.SOCKET, this.onSocket);
+
+    game.modules.get(this.ID).api = {
+      getGroups: this.apiGetGroups,
+      setGroups: this.apiSetGroups,
+      rollGroup: this.apiRollGroup,
+      createButtons: this.apiCreateButtons
+    };
 
     // Attach the rollDamageGroup method to the item implementation
     if (Item?.implementation) {
@@ -45,608 +449,4308 @@ class Module {
   }
 
   /**
-   * Create the damage buttons on a chat card when an item is used. Hooks on 'preDisplayCard'.
-   * @param {Item5e} item     The item being displayed.
-   * @param {object} data     The data object of the message to be created.
+   * Run the one-time world migration of roll group flags.
+   * Hooks on 'ready'.
    */
-  static manageCardButtons(item, data) {
-    try {
-      const el = document.createElement("DIV");
-      el.innerHTML = data.content;
-      const damageButton = el.querySelector(".card-buttons button[data-action='damage']");
-      const config = item.flags[Module.ID]?.config ?? {};
+  static async migrateWorld() {
+    if (!game.user.isGM || !Module.adapter) return;
+    const version = game.settings.get(Module.ID, "migrationVersion");
+    if (version >= Module.MIGRATION_VERSION) return;
 
-      if (damageButton) {
-        const buttons = Module.createDamageButtons(item);
-        if (buttons) {
-          const div = document.createElement("DIV");
-          div.innerHTML = buttons;
-          damageButton.after(...div.children);
-          damageButton.remove();
-        }
+    for (const item of game.items) {
+      const update = Module.migrateItemFlags(item);
+      if (update) await item.update(update, {[Module.ID]: {migration: true}});
+    }
 
-        // Adjust the 'Versatile' button.
-        if (buttons && Module.isNumeric(config.versatile) && item.isVersatile) {
-          const vers = el.querySelector("[data-action='versatile']") ?? el.querySelector("[data-action='rollgroup-damage'][data-versatile]");
-          if (vers) {
-            vers.setAttribute("data-action", "rollgroup-damage-versatile");
-            vers.setAttribute("data-group", String(config.versatile));
-            vers.setAttribute("data-item-uuid", item.uuid);
-            vers.setAttribute("data-actor-uuid", item.actor?.uuid ?? "");
-          }
-        }
+    for (const actor of game.actors) {
+      const updates = actor.items.reduce((acc, item) => {
+        const update = Module.migrateItemFlags(item);
+        if (update) acc.push({_id: item.id, ...update});
+        return acc;
+      }, []);
+      if (updates.length) await actor.updateEmbeddedDocuments("Item", updates, {[Module.ID]: {migration: true}});
+    }
 
-        // Create Blade Cantrip buttons if eligible and is enabled.
-        if (config.bladeCantrip && (item.type === "spell") && (item.system.level === 0) && item.hasDamage) {
-          const div = document.createElement("DIV");
-          div.innerHTML = `
-            <hr>
-            <button data-action="rollgroup-bladecantrip-attack" data-actor-uuid="${item.actor?.uuid ?? ""}">
-              ${game.i18n.localize("ROLLGROUPS.BladeCantripAttack")}
-            </button>
-            <button data-action="rollgroup-bladecantrip-damage" data-actor-uuid="${item.actor?.uuid ?? ""}">
-              ${game.i18n.localize("ROLLGROUPS.BladeCantripDamage")}
-            </button>`;
-          el.querySelector(".card-buttons")?.append(...div.children);
-        }
-      }
+    await game.settings.set(Module.ID, "migrationVersion", Module.MIGRATION_VERSION);
+  }
 
-      // Add more saving throw buttons.
-      const saveButtons = Module.createSaveButtons(item);
-      if (saveButtons) {
-        const save = el.querySelector("button[data-action=save]");
-        if (save) {
-          const div = document.createElement("DIV");
-          div.innerHTML = saveButtons;
-          save.after(...div.children);
-        }
-      }
+  /**
+   * The current version of the stored flag data.
+   * @type {number}
+   */
+  static MIGRATION_VERSION = 3;
 
-      data.content = el.innerHTML;
-    } catch (err) {
-      console.error(`${this.ID} | manageCardButtons error`, err);
+  /**
+   * Construct the update that moves legacy item-level roll groups onto the item's first damaging activity,
+   * and converts index-based groups to use stable identifiers.
+   * @param {Item5e} item         The item to migrate.
+   * @returns {object|null}       The update data, or null if there is nothing to migrate.
+   */
+  static migrateItemFlags(item) {
+    const config = item.flags?.[Module.ID]?.config;
+    if (!config) return null;
+
+    const path = `flags.${Module.ID}.config`;
+    const update = {};
+    if (("groups" in config) && Module.getDamageActivities(item).length) {
+      update[`${path}.-=groups`] = null;
+      update[`${path}.-=versatile`] = null;
+    }
+
+    for (const activity of Module.getDamageActivities(item)) {
+      const stored = config.activities?.[activity.id];
+      const isLegacy = !stored || !Module.isCurrentConfig(stored);
+      const normalized = Module.getActivityConfig(activity);
+      if (isLegacy && normalized.groups) update[`${path}.activities.${activity.id}`] = normalized;
+    }
+
+    const saveActivity = Module.getSaveActivities(item)[0];
+    if (Array.isArray(config.saves) && saveActivity) {
+      update[`${path}.-=saves`] = null;
+      if (!config.activities?.[saveActivity.id]?.saves) {
+        update[`${path}.activities.${saveActivity.id}.saves`] = Module.getSaves(saveActivity);
+      }
     }
+
+    return foundry.utils.isEmpty(update) ? null : update;
   }
 
   /**
-   * Helper function to construct the html for the damage buttons.
-   * @param {Item5e} item       The item to retrieve data from.
-   * @returns {string|null}     The constructed buttons, as a string, or null if there are no buttons to be made.
+   * Retrieve the activities of an item that roll damage.
+   * @param {Item5e} item             The item.
+   * @returns {Activity[]}            The damaging activities, in sort order.
    */
-  static createDamageButtons(item) {
-    const config = item.flags[Module.ID]?.config ?? {};
-    const validParts = (item.system?.damage?.parts ?? []).filter(([f]) => !!f);
-
-    const hasGroups = (config.groups?.length > 0) && (validParts.length > 1);
-    if (!hasGroups) return null;
+  static getDamageActivities(item) {
+    const activities = item?.system?.activities;
+    if (!activities) return [];
+    return activities.filter(a => Module.getRawDamageParts(a).length > 0).sort((a, b) => a.sort - b.sort);
+  }
 
-    const group = config.groups.reduce((acc, { label, parts }, idx) => {
-      const btn = document.createElement("BUTTON");
-      btn.setAttribute("data-action", "rollgroup-damage");
-      btn.setAttribute("data-group", String(idx));
-      btn.setAttribute("data-item-uuid", item.uuid);
-      btn.setAttribute("data-actor-uuid", item.actor?.uuid ?? "");
+  /**
+   * Retrieve the damage parts of an activity. If the activity includes the item's base damage,
+   * that is treated as the first part.
+   * @param {Activity} activity       The activity.
+   * @returns {object[]}              Objects with the formula, the damage types, and whether it is the base damage.
+   */
+  static getRawDamageParts(activity) {
+    const parts = [];
+    const item = activity?.item;
+    const base = item?.system?.damage?.base;
+    if (activity?.damage?.includeBase && item?.system?.offersBaseDamage && base?.formula) {
+      parts.push({formula: base.formula, types: [...(base.types ?? [])], base: true, scaling: null});
+    }
+    for (const part of activity?.damage?.parts ?? []) {
+      const scaling = part.scaling ? {mode: part.scaling.mode ?? "", number: part.scaling.number ?? 1} : null;
+      parts.push({formula: part.formula, types: [...(part.types ?? [])], base: false, scaling});
+    }
+    return parts;
+  }
 
-      const types = (parts || []).map(t => validParts[t]?.[1]);
-      const systemCfg = CONFIG[Module.system.toUpperCase()] ?? {};
-      const isDamage = types.every(t => t && (t in (systemCfg.damageTypes ?? {})));
-      const isHealing = types.every(t => t && (t in (systemCfg.healingTypes ?? {})));
+  /**
+   * Retrieve the damage parts of an activity along with their stable identifiers. The base damage
+   * always has the identifier 'base'.
+   * @param {Activity} activity       The activity.
+   * @returns {object[]}              Objects with the id, formula, damage types, and whether it is the base damage.
+   */
+  static getDamageParts(activity) {
+    const ids = Module.getActivityConfig(activity).partIds ?? [];
+    let i = 0;
+    return Module.getRawDamageParts(activity).map(part => {
+      if (part.base) return {...part, id: "base"};
+      const id = ids[i] ?? `part${i}`;
+      i++;
+      return {...part, id};
+    });
+  }
 
-      const type = isDamage ? "damage" : isHealing ? "healing" : "mixed";
-      const buttonProps = {
-        damage: { i: "class='fa-solid fa-burst'", label: "Damage" },
-        healing: { i: "class='dnd5e-icon' data-src='systems/dnd5e/icons/svg/damage/healing.svg'", label: "Healing" },
-        mixed: { i: "class='fa-solid fa-burst'", label: "Mixed" }
-      }[type];
-      const labelText = label ? `(${label})` : "";
-      btn.innerHTML = `<i ${buttonProps.i}></i> ${game.i18n.localize("ROLLGROUPS." + buttonProps.label)} ${labelText}`;
+  /**
+   * Whether stored activity configuration uses stable identifiers.
+   * @param {object} data     The stored configuration.
+   * @returns {boolean}
+   */
+  static isCurrentConfig(data) {
+    return Array.isArray(data.partIds) && (data.groups ?? []).every(g => typeof g.id === "string");
+  }
 
-      acc.appendChild(btn);
-      return acc;
-    }, document.createElement("DIV"));
+  /**
+   * Convert index-based configuration to use stable identifiers. Indices refer to the
+   * damage parts with the base damage first, if included.
+   * @param {Activity} activity     The activity.
+   * @param {object} data           The index-based configuration.
+   * @returns {object}              The converted configuration.
+   */
+  static convertLegacyConfig(activity, data) {
+    const raw = Module.getRawDamageParts(activity);
+    let n = 0;
+    const ids = raw.map(part => part.base ? "base" : `part${n++}`);
+    const groups = (data.groups ?? []).map((group, i) => ({
+      ...group,
+      id: `group${i}`,
+      parts: (group.parts ?? []).map(n => ids[Number(n)]).filter(id => id)
+    }));
+    const versatile = Module.isNumeric(data.versatile) ? (groups[Number(data.versatile)]?.id ?? null) : null;
+    return {...data, partIds: ids.filter(id => id !== "base"), groups, versatile};
+  }
 
-    return group.innerHTML;
+  /**
+   * Retrieve the roll group configuration of an activity. Items that have not yet been migrated
+   * have their item-level groups apply to the first damaging activity, and index-based groups
+   * are converted to use stable identifiers.
+   * @param {Activity} activity       The activity.
+   * @returns {object}                The configuration, with 'partIds', 'groups' and 'versatile'.
+   */
+  static getActivityConfig(activity) {
+    const config = activity?.item?.flags?.[Module.ID]?.config ?? {};
+    let stored = config.activities?.[activity?.id];
+    if (!stored && ("groups" in config) && (Module.getDamageActivities(activity.item)[0]?.id === activity.id)) {
+      stored = {groups: config.groups ?? [], versatile: config.versatile};
+    }
+    if (!stored) return {};
+    return Module.isCurrentConfig(stored) ? stored : Module.convertLegacyConfig(activity, stored);
   }
 
   /**
-   * Helper function to construct the html for saving throw buttons.
-   * @param {Item5e} item     The item to add buttons to.
-   * @returns {string|null}
+   * Retrieve the save activities of an item.
+   * @param {Item5e} item             The item.
+   * @returns {Activity[]}            The save activities, in sort order.
    */
-  static createSaveButtons(item) {
-    if (!item?.hasSave) return null;
-    const system = Module.system.toUpperCase();
-    const saves = (item.flags[Module.ID]?.config?.saves ?? []).filter(abi => {
-      return (abi !== item.system.save?.ability) && (abi in (CONFIG[system]?.abilities ?? {}));
-    });
-    if (!saves.length) return null;
+  static getSaveActivities(item) {
+    const activities = item?.system?.activities?.getByType?.("save") ?? [];
+    return activities.sort((a, b) => a.sort - b.sort);
+  }
 
-    const div = document.createElement("DIV");
-    for (const abi of saves) {
-      const btn = document.createElement("BUTTON");
-      btn.setAttribute("type", "button");
-      btn.setAttribute("data-action", "save");
-      btn.setAttribute("data-ability", abi);
-      const dc = item.getSaveDC?.() ?? item.system.save?.dc ?? 10;
-      btn.setAttribute("data-dc", dc);
-      const ability = CONFIG[system].abilities[abi].label;
-      btn.innerHTML = `<i class="fa-solid fa-shield-heart"></i> ${game.i18n.format(`${system}.SavingThrowDC`, { dc, ability })}`;
-      div.appendChild(btn);
+  /**
+   * Retrieve the extra saving throws of a save activity. Items that have not yet been migrated
+   * have their item-level ability list apply to the first save activity.
+   * @param {Activity} activity       The save activity.
+   * @returns {object[]}              The normalized saving throw configurations.
+   */
+  static getSaves(activity) {
+    if (activity?.type !== "save") return [];
+    const config = activity.item.flags?.[Module.ID]?.config ?? {};
+    let saves = config.activities?.[activity.id]?.saves;
+    if (!saves && Array.isArray(config.saves) && (Module.getSaveActivities(activity.item)[0]?.id === activity.id)) {
+      saves = config.saves.map((ability, i) => ({id: `save${i}`, ability}));
     }
-    return div.innerHTML;
+    return (saves ?? []).map(save => Module.normalizeSave(save));
   }
 
   /**
-   * Create the button in item sheets to open the roll groups config menu.
-   * Hooks on 'renderItemSheet'.
-   * @param {ItemSheet5e} sheet     The sheet of an item.
-   * @param {HTMLElement|jQuery|Array} html      The element of the sheet.
+   * Fill in the defaults of an extra saving throw configuration.
+   * @param {object} save     The stored saving throw configuration.
+   * @returns {object}
    */
-  static createConfigButton(sheet, html) {
-    try {
-      // Normalize html to a real HTMLElement (support HTMLElement, jQuery, or [HTMLElement])
-      const root = (function(h) {
-        if (!h) return null;
-        if (h instanceof HTMLElement) return h;
-        if (h.jquery && h.length) return h[0];
-        if (Array.isArray(h) && h.length && h[0] instanceof HTMLElement) return h[0];
-        // Fallback: if it has querySelector, assume it's fine
-        if (typeof h.querySelector === "function") return h;
-        return null;
-      })(html);
+  static normalizeSave(save) {
+    return {
+      id: save.id ?? foundry.utils.randomID(),
+      ability: save.ability ?? "",
+      label: save.label ?? "",
+      dc: {mode: save.dc?.mode ?? "activity", value: save.dc?.value ?? 10, formula: save.dc?.formula ?? ""},
+      link: {activity: save.link?.activity ?? "", group: save.link?.group ?? ""},
+      onSuccess: save.onSuccess ?? "half"
+    };
+  }
 
-      if (!root) return;
+  /**
+   * The damage multipliers on a successful save.
+   * @type {Record<string, number>}
+   */
+  static SUCCESS_MULTIPLIERS = {none: 0, half: 0.5, full: 1};
 
-      const addDamage = root.querySelector(".add-damage");
-      if (addDamage) {
-        const div = document.createElement("DIV");
-        div.innerHTML = `
-          <a class="${Module.ID} config-button" data-tooltip="ROLLGROUPS.OpenConfig">
-            ${game.i18n.localize("ROLLGROUPS.GroupConfig")} <i class="fa-solid fa-edit"></i>
-          </a>`;
-        if (sheet.isEditable) {
-          div.querySelector("A").addEventListener("click", () => new GroupConfig({ document: sheet.document }).render({ force: true }));
-        }
-        addDamage.after(div.firstElementChild);
-      }
+  /**
+   * The number of group rolls of each item kept in the world's roll history. Older rolls are removed first.
+   * @type {number}
+   */
+  static HISTORY_LIMIT = 200;
 
-      const saveScaling = root.querySelector("[name='system.save.scaling']");
-      if (saveScaling) {
-        const div = document.createElement("DIV");
-        div.innerHTML = `
-          <a class="${Module.ID} save-config-button" data-tooltip="ROLLGROUPS.OpenSaveConfig">
-            <i class="fa-solid fa-plus"></i>
-          </a>`;
-        if (sheet.isEditable) {
-          div.querySelector("A").addEventListener("click", () => new SaveConfig({ document: sheet.document }).render({ force: true }));
-        }
-        saveScaling.after(div.firstElementChild);
+  /**
+   * The lowest role that may ask other users to roll groups, for each choice of the world setting.
+   * @type {Record<string, number|null>}
+   */
+  static REQUEST_ROLES = {
+    none: null,
+    player: CONST.USER_ROLES.PLAYER,
+    trusted: CONST.USER_ROLES.TRUSTED,
+    assistant: CONST.USER_ROLES.ASSISTANT
+  };
+
+  /**
+   * The identifiers of features that let an actor add its ability modifier to the damage of off-hand attacks.
+   * @type {string[]}
+   */
+  static OFFHAND_FEATURES = ["two-weapon-fighting", "fighting-style-two-weapon-fighting"];
+
+  /**
+   * Determine the DC of an extra saving throw.
+   * @param {Activity} activity     The save activity.
+   * @param {object} save           The saving throw configuration.
+   * @returns {number}
+   */
+  static getSaveDC(activity, save) {
+    const activityDC = Module.adapter.getSaveDC(activity);
+    switch (save.dc.mode) {
+      case "fixed": return Number(save.dc.value) || activityDC;
+      case "formula": {
+        const rollData = activity.getRollData?.() ?? activity.item.getRollData();
+        const dc = Module.adapter.simplifyBonus(save.dc.formula, rollData);
+        return Number.isFinite(dc) && dc ? dc : activityDC;
       }
-    } catch (err) {
-      console.error(`${Module.ID} | createConfigButton error`, err);
+      default: return activityDC;
     }
   }
+
   /**
-   * Create the listener for each rollgroups button in a chat message.
-   * Hooks on 'renderChatMessage'.
+   * Find a roll group of an activity.
+   * @param {Activity} activity         The activity.
+   * @param {string|number} key         The id of the group, or its index for backwards compatibility.
+   * @returns {object|null}             The group.
+   */
+  static findGroup(activity, key) {
+    const groups = Module.getActivityConfig(activity).groups ?? [];
+    const group = groups.find(g => g.id === key);
+    if (group) return group;
+    return Module.isNumeric(key) ? (groups[Number(key)] ?? null) : null;
+  }
+
+  /**
+   * Match the damage parts of an activity before and after an update, carrying over their identifiers.
+   * Parts are matched by identical data first, then by position if the number of parts is unchanged.
+   * @param {object[]} before       The source data of the parts before the update.
+   * @param {object[]} after        The source data of the parts after the update.
+   * @param {string[]} ids          The identifiers of the parts before the update.
+   * @returns {string[]}            The identifiers of the parts after the update.
+   */
+  static remapPartIds(before, after, ids) {
+    const oldKeys = before.map(p => JSON.stringify(p));
+    const newKeys = after.map(p => JSON.stringify(p));
+    const used = new Set();
+    const result = newKeys.map(key => {
+      const i = oldKeys.findIndex((k, j) => (k === key) && !used.has(j));
+      if (i === -1) return null;
+      used.add(i);
+      return ids[i] ?? null;
+    });
+
+    if (before.length === after.length) {
+      result.forEach((id, j) => {
+        if (!id && !used.has(j) && ids[j]) {
+          used.add(j);
+          result[j] = ids[j];
+        }
+      });
+    }
+
+    return result.map(id => id ?? foundry.utils.randomID());
+  }
+
+  /**
+   * Remap or prune the roll groups of an item's activities when their damage parts change.
+   * Hooks on 'preUpdateItem'.
+   * @param {Item5e} item           The item being updated.
+   * @param {object} changes        The changes to the item.
+   * @param {object} options        The update options.
+   */
+  static preUpdateItem(item, changes, options) {
+    if (options[Module.ID]?.migration) return;
+    const activities = foundry.utils.getProperty(foundry.utils.expandObject(changes), "system.activities");
+    const config = item.flags?.[Module.ID]?.config?.activities ?? {};
+    if (!activities || foundry.utils.isEmpty(config)) return;
+
+    const path = `flags.${Module.ID}.config.activities`;
+    let clone;
+    for (const [key, activityChanges] of Object.entries(activities)) {
+      // The activity was deleted.
+      if (key.startsWith("-=")) {
+        const id = key.slice(2);
+        if (id in config) foundry.utils.setProperty(changes, `${path}.-=${id}`, null);
+        continue;
+      }
+
+      const activity = item.system.activities?.get(key);
+      if (!activity || !(key in config) || !("damage" in (activityChanges ?? {}))) continue;
+
+      clone ??= item.clone(foundry.utils.expandObject(changes));
+      const updated = clone.system.activities?.get(key);
+      if (!updated) continue;
+
+      const data = Module.getActivityConfig(activity);
+      const oldIds = Module.getDamageParts(activity).filter(p => !p.base).map(p => p.id);
+      const partIds = Module.remapPartIds(activity.toObject().damage?.parts ?? [], updated.toObject().damage?.parts ?? [], oldIds);
+      const valid = new Set(partIds);
+      if (Module.getRawDamageParts(updated)[0]?.base) valid.add("base");
+
+      const groups = (data.groups ?? []).map(group => {
+        const parts = (group.parts ?? []).filter(id => valid.has(id));
+        if (!parts.length && group.parts?.length) {
+          ui.notifications.warn(game.i18n.format("ROLLGROUPS.GroupEmptied", {label: group.label, item: item.name}));
+        }
+        return {...group, parts};
+      });
+
+      foundry.utils.setProperty(changes, `${path}.${key}`, {...data, partIds, groups});
+    }
+  }
+
+  /**
+   * Store a snapshot of the item's roll group configuration on a chat card when an activity is used.
+   * Hooks on 'preCreateUsageMessage'.
+   * @param {Activity} activity       The activity being used.
+   * @param {object} messageConfig    The configuration of the message to be created.
+   */
+  static manageCardButtons(activity, messageConfig) {
+    const config = activity.item.flags[Module.ID]?.config ?? null;
+    foundry.utils.setProperty(messageConfig, `data.flags.${Module.ID}.card`, {
+      activityId: activity.id,
+      config: config ? foundry.utils.deepClone(config) : null
+    });
+  }
+
+  /**
+   * Retrieve the activity of a chat card, using either the live item or the snapshot of its roll group
+   * configuration from when the card was created, depending on the world setting.
+   * @param {ChatMessage} message     The message.
+   * @returns {Activity|null}
+   */
+  static getCardActivity(message) {
+    const activity = message?.getAssociatedActivity?.();
+    if (!activity) return null;
+    const card = message.flags[Module.ID]?.card;
+    if (!card || (game.settings.get(Module.ID, "cardSource") !== "snapshot")) return activity;
+    const data = activity.item.toObject();
+    foundry.utils.setProperty(data, `flags.${Module.ID}.config`, card.config ?? {});
+    const item = new activity.item.constructor(data, {parent: activity.item.parent});
+    return item.system.activities?.get(activity.id) ?? activity;
+  }
+
+  /**
+   * Create the buttons of the module on a rendered usage card. Cards created before the module was enabled
+   * use the live item. Users who cannot roll the activity only see the buttons if they may ask others to roll.
    * @param {ChatMessage} message     The message being rendered.
-   * @param {HTMLElement} html        The element of the message.
+   * @param {HTMLElement} el          The element of the message.
    */
-  static createChatLogListeners(message, html) {
-    if (!html) return;
-    html.querySelectorAll("[data-action^='rollgroup-damage']").forEach(n => {
-      n.addEventListener("click", Module.rollDamageFromChat);
+  static renderCardButtons(message, el) {
+    try {
+      if (message.flags[Module.system]?.messageType !== "usage") return;
+      const activity = Module.getCardActivity(message);
+      if (!activity || !(game.user.isGM || message.isAuthor || activity.actor?.isOwner || Module.canRequestRolls())) return;
+      const item = activity.item;
+      const selectors = Module.adapter.selectors;
+      const damageButton = el.querySelector(selectors.damageButton);
+      const config = item.flags[Module.ID]?.config ?? {};
+      const activityConfig = Module.getActivityConfig(activity);
+
+      // Users who can only ask for rolls get the damage buttons, but not the buttons that use the actor's items.
+      const canRoll = Module.canRollActivity(activity);
+
+      if (damageButton) {
+        const buttons = Module.createDamageButtons(activity);
+        if (buttons) {
+          const div = document.createElement("DIV");
+          div.innerHTML = buttons;
+          damageButton.after(...div.children);
+          if (!game.settings.get(Module.ID, "keepDamageButton")) damageButton.remove();
+        }
+        if (game.settings.get(Module.ID, "buttonLayout") === "compact") {
+          el.querySelector(selectors.cardButtons)?.classList.add(`${Module.ID}-compact`);
+        }
+
+        // Add a 'Versatile' button.
+        const isVersatile = item.system.isVersatile ?? item.isVersatile;
+        const versatileGroup = Module.findGroup(activity, activityConfig.versatile);
+        const versatileCheck = Module.checkGroupCondition(activity, versatileGroup);
+        const hideVersatile = !versatileCheck.pass && (versatileCheck.display === "hide");
+        if (buttons && versatileGroup && isVersatile && (activity.type === "attack") && !hideVersatile) {
+          const vers = document.createElement("BUTTON");
+          vers.setAttribute("type", "button");
+          vers.setAttribute("data-action", "rollgroup-damage-versatile");
+          vers.setAttribute("data-group", versatileGroup.id);
+          vers.setAttribute("data-item-uuid", item.uuid);
+          vers.setAttribute("data-activity-id", activity.id);
+          vers.setAttribute("data-actor-uuid", item.actor?.uuid ?? "");
+          vers.innerHTML = `<i class="fa-solid fa-burst"></i> ${game.i18n.localize("ROLLGROUPS.Versatile")}`;
+          Module.disableFailedButton(vers, versatileCheck);
+          el.querySelector(selectors.cardButtons)?.append(vers);
+        }
+
+        // Add an 'Off-hand' button.
+        const offhandGroup = Module.findGroup(activity, activityConfig.offhand);
+        const offhandCheck = Module.checkGroupCondition(activity, offhandGroup);
+        const hideOffhand = !offhandCheck.pass && (offhandCheck.display === "hide");
+        if (buttons && offhandGroup && (item.type === "weapon") && (activity.type === "attack") && !hideOffhand) {
+          const off = document.createElement("BUTTON");
+          off.setAttribute("type", "button");
+          off.setAttribute("data-action", "rollgroup-damage-offhand");
+          off.setAttribute("data-group", offhandGroup.id);
+          off.setAttribute("data-item-uuid", item.uuid);
+          off.setAttribute("data-activity-id", activity.id);
+          off.setAttribute("data-actor-uuid", item.actor?.uuid ?? "");
+          off.innerHTML = `<i class="fa-solid fa-hand"></i> ${game.i18n.localize("ROLLGROUPS.Offhand")}`;
+          Module.disableFailedButton(off, offhandCheck);
+          el.querySelector(selectors.cardButtons)?.append(off);
+        }
+
+        // Show the outcome of the latest attack made from this card.
+        const attack = Module.findAttack(message);
+        if (attack) {
+          const outcome = document.createElement("DIV");
+          outcome.classList.add(Module.ID, "attack-outcome");
+          outcome.innerHTML = Module.describeAttack(attack);
+          el.querySelector(selectors.cardButtons)?.prepend(outcome);
+        }
+
+        // Add a 'Roll All' button.
+        if (buttons && activityConfig.rollAll) {
+          const all = document.createElement("BUTTON");
+          all.setAttribute("type", "button");
+          all.setAttribute("data-action", "rollgroup-damage-all");
+          all.setAttribute("data-group", "all");
+          all.setAttribute("data-item-uuid", item.uuid);
+          all.setAttribute("data-activity-id", activity.id);
+          all.setAttribute("data-actor-uuid", item.actor?.uuid ?? "");
+          all.innerHTML = `<i class="fa-solid fa-layer-group"></i> ${game.i18n.localize("ROLLGROUPS.RollAll")}`;
+          const groupButtons = el.querySelectorAll(`${selectors.cardButtons} [data-action='rollgroup-damage']`);
+          groupButtons[groupButtons.length - 1]?.after(all);
+        }
+
+        // Create Blade Cantrip buttons if eligible and is enabled.
+        const showCantrip = game.settings.get(Module.ID, "bladeCantripButtons");
+        if (canRoll && showCantrip && config.bladeCantrip && (item.type === "spell") && (item.system.level === 0)) {
+          const div = document.createElement("DIV");
+          const dataset = `data-actor-uuid="${item.actor?.uuid ?? ""}" data-item-uuid="${item.uuid}" data-activity-id="${activity.id}"`;
+          div.innerHTML = `
+            <hr>
+            <button type="button" data-action="rollgroup-bladecantrip-attack" ${dataset}>
+              ${game.i18n.localize("ROLLGROUPS.BladeCantripAttack")}
+            </button>
+            <button type="button" data-action="rollgroup-bladecantrip-damage" ${dataset}>
+              ${game.i18n.localize("ROLLGROUPS.BladeCantripDamage")}
+            </button>`;
+          el.querySelector(selectors.cardButtons)?.append(...div.children);
+        }
+      }
+
+      // Create weapon rider buttons if enabled.
+      if (canRoll && Module.getRider(activity)?.enabled && item.actor) {
+        const div = document.createElement("DIV");
+        const dataset = `data-actor-uuid="${item.actor.uuid}" data-item-uuid="${item.uuid}" data-activity-id="${activity.id}"`;
+        div.innerHTML = `
+          <hr>
+          <button type="button" data-action="rollgroup-rider-arm" ${dataset}>
+            <i class="fa-solid fa-bolt"></i> ${game.i18n.localize("ROLLGROUPS.RiderArm")}
+          </button>
+          <button type="button" data-action="rollgroup-rider-pick" ${dataset}>
+            <i class="fa-solid fa-hand-fist"></i> ${game.i18n.localize("ROLLGROUPS.RiderPick")}
+          </button>`;
+        el.querySelector(selectors.cardButtons)?.append(...div.children);
+      }
+
+      // Add more saving throw buttons, which can be hidden from players.
+      const showSaves = game.user.isGM || game.settings.get(Module.ID, "playerSaves");
+      const saveButtons = showSaves ? Module.createSaveButtons(activity) : null;
+      if (saveButtons) {
+        const save = el.querySelector(selectors.saveButton);
+        if (save) {
+          const div = document.createElement("DIV");
+          div.innerHTML = saveButtons;
+          save.after(...div.children);
+        }
+      }
+    } catch (err) {
+      console.error(`${Module.ID} | renderCardButtons error`, err);
+    }
+  }
+
+  /**
+   * Preview the damage of a roll group using the actor's roll data: the resolved formula, and the minimum,
+   * average, and maximum damage per damage type and in total, as well as the maximum on a critical hit.
+   * @param {Activity} activity       The activity.
+   * @param {object} group            The roll group.
+   * @returns {object|null}           The preview, or null if the group has no formulas.
+   */
+  static previewGroup(activity, group) {
+    const ids = new Set(group.parts ?? []);
+    const parts = Module.getDamageParts(activity).filter(p => ids.has(p.id) && p.formula);
+    if (!parts.length) return null;
+
+    const scaling = group.scaling ?? {};
+    const hasScaling = (scaling.mode ?? "none") !== "none";
+    const add = Module.getScalingSteps(activity, scaling.mode) * (Number(scaling.number) || 1);
+    const rollData = activity.getRollData?.() ?? activity.item.getRollData();
+    const typeLabels = Module.adapter.allDamageTypes;
+    const DamageRoll = CONFIG.Dice.DamageRoll ?? Roll;
+
+    const modifiers = Module.getGroupModifiers(group);
+    const entries = parts.map(part => ({
+      formula: (hasScaling && !part.base)
+        ? Module.scaleDiceFormula(part.formula, add, {term: Number(scaling.term) || 0})
+        : part.formula,
+      types: modifiers.type ? [modifiers.type] : part.types
+    }));
+    if (modifiers.bonus) entries.push({formula: modifiers.bonus, types: modifiers.type ? [modifiers.type] : parts[0].types});
+
+    const total = {min: 0, avg: 0, max: 0, critMax: 0};
+    const byType = {};
+    const formulas = [];
+    for (const {formula, types} of entries) {
+      let min;
+      let max;
+      let critMax;
+      try {
+        const resolved = Roll.replaceFormulaData(formula, rollData, {missing: "0"});
+        const roll = new Roll(resolved);
+        formulas.push(roll.formula);
+        min = roll.clone().evaluateSync({minimize: true, strict: false}).total;
+        max = roll.clone().evaluateSync({maximize: true, strict: false}).total;
+        critMax = (modifiers.critical === "noDouble") ? max
+          : new DamageRoll(resolved, {}, {isCritical: true}).evaluateSync({maximize: true, strict: false}).total;
+      } catch (err) {
+        formulas.push(formula);
+        continue;
+      }
+
+      const label = types.map(t => typeLabels[t]?.label ?? t).join(", ") || game.i18n.localize("None");
+      byType[label] ??= {label, min: 0, avg: 0, max: 0};
+      byType[label].min += min;
+      byType[label].max += max;
+      byType[label].avg += (min + max) / 2;
+      total.min += min;
+      total.max += max;
+      total.avg += (min + max) / 2;
+      total.critMax += critMax;
+    }
+
+    if (modifiers.criticalBonus) {
+      try {
+        const resolved = Roll.replaceFormulaData(modifiers.criticalBonus, rollData, {missing: "0"});
+        total.critMax += new Roll(resolved).evaluateSync({maximize: true, strict: false}).total;
+      } catch (err) {
+        // An invalid critical bonus adds nothing to the preview.
+      }
+    }
+
+    const round = n => Math.round(n * 10) / 10;
+    for (const row of [...Object.values(byType), total]) row.avg = round(row.avg);
+    return {formula: formulas.join(" + "), types: Object.values(byType), total};
+  }
+
+  /**
+   * Determine whether a set of damage types is purely damage, purely healing, or a mix.
+   * @param {string[]} types      The damage or healing types.
+   * @returns {string}            One of 'damage', 'healing', or 'mixed'.
+   */
+  static classifyTypes(types) {
+    const {damageTypes, healingTypes} = Module.adapter;
+    const isDamage = types.every(t => t && (t in damageTypes));
+    const isHealing = types.every(t => t && (t in healingTypes));
+    return isDamage ? "damage" : isHealing ? "healing" : "mixed";
+  }
+
+  /**
+   * Helper function to construct the html for the damage buttons.
+   * @param {Activity} activity     The activity to retrieve data from.
+   * @returns {string|null}         The constructed buttons, as a string, or null if there are no buttons to be made.
+   */
+  static createDamageButtons(activity) {
+    if (!activity) return null;
+    const item = activity.item;
+    const config = Module.getActivityConfig(activity);
+    const allParts = Module.getDamageParts(activity);
+    const validParts = allParts.filter(p => !!p.formula);
+
+    const hasGroups = (config.groups?.length > 0) && (validParts.length > 1);
+    if (!hasGroups) return null;
+
+    // Other modules can change which buttons are created, or prevent them by returning false.
+    const groups = foundry.utils.deepClone(config.groups);
+    if (Hooks.call(`${Module.ID}.preCreateButtons`, activity, groups) === false) return null;
+
+    const partTypes = Object.fromEntries(allParts.map(p => [p.id, p.types]));
+    const group = groups.reduce((acc, g) => {
+      const {id, label, parts} = g;
+      const check = Module.checkGroupCondition(activity, g);
+      if (!check.pass && (check.display === "hide")) return acc;
+      const btn = document.createElement("BUTTON");
+      btn.setAttribute("type", "button");
+      btn.setAttribute("data-action", "rollgroup-damage");
+      btn.setAttribute("data-group", id);
+      btn.setAttribute("data-item-uuid", item.uuid);
+      btn.setAttribute("data-activity-id", activity.id);
+      btn.setAttribute("data-actor-uuid", item.actor?.uuid ?? "");
+      btn.setAttribute("draggable", "true");
+
+      const types = (parts || []).flatMap(t => partTypes[t] ?? [undefined]);
+      const type = Module.classifyTypes(types);
+      const buttonProps = {
+        damage: { i: "class='fa-solid fa-burst'", label: "Damage" },
+        healing: {i: Module.adapter.healingIcon, label: "Healing"},
+        mixed: { i: "class='fa-solid fa-burst'", label: "Mixed" }
+      }[type];
+      const icon = g.icon ? `class="${Handlebars.escapeExpression(g.icon)}"` : buttonProps.i;
+      btn.innerHTML = `<i ${icon}></i> ${Module.formatGroupLabel(game.i18n.localize("ROLLGROUPS." + buttonProps.label), label)}`;
+      Module.disableFailedButton(btn, check);
+
+      acc.appendChild(btn);
+      return acc;
+    }, document.createElement("DIV"));
+
+    return group.innerHTML;
+  }
+
+  /**
+   * Format the label of a group button using the world's label format.
+   * @param {string} type       The localized kind of roll, such as 'Damage' or 'Healing'.
+   * @param {string} label      The label of the group.
+   * @returns {string}
+   */
+  static formatGroupLabel(type, label) {
+    if (!label) return type;
+    const format = game.settings.get(Module.ID, "labelFormat") || "{type} ({label})";
+    return format.replaceAll("{type}", type).replaceAll("{label}", label);
+  }
+
+  /**
+   * Check whether the condition of a roll group is met.
+   * @param {Activity} activity         The activity.
+   * @param {object} group              The roll group.
+   * @returns {object}                  Whether the condition passed, how to display a failed group,
+   *                                    and the reason it failed.
+   */
+  static checkGroupCondition(activity, group) {
+    const {type = "none", value = "", display = "hide"} = group?.condition ?? {};
+    const result = {pass: true, display, reason: ""};
+    if ((type === "none") || !value) return result;
+
+    const actor = activity.actor;
+    switch (type) {
+      case "expression": {
+        const rollData = activity.getRollData?.() ?? activity.item.getRollData();
+        const target = game.user.targets.first()?.actor;
+        if (target) rollData.target = target.getRollData();
+        result.pass = Module.evaluateCondition(value, rollData);
+        result.reason = game.i18n.format("ROLLGROUPS.ConditionFailedExpression", {value});
+        break;
+      }
+      case "feature":
+        result.pass = !!actor?.items.some(i => (i.name === value) || (i.system.identifier === value));
+        result.reason = game.i18n.format("ROLLGROUPS.ConditionFailedFeature", {value});
+        break;
+      case "effect":
+        result.pass = !!actor && (actor.statuses.has(value) || actor.appliedEffects.some(e => e.name === value));
+        result.reason = game.i18n.format("ROLLGROUPS.ConditionFailedEffect", {value});
+        break;
+    }
+    if (result.pass) result.reason = "";
+    return result;
+  }
+
+  /**
+   * Evaluate a condition written as a roll data expression, such as `@attributes.hp.value <= @attributes.hp.max / 2`.
+   * Strings are compared as strings, e.g. `@target.details.type.value == "undead"`. After the roll data is filled in,
+   * the expression may only contain numbers, strings, `true`, `false`, `null`, arithmetic, comparison, and logical
+   * operators, and parentheses; anything else is refused, since item authors write these expressions.
+   * @param {string} expression     The expression.
+   * @param {object} rollData       The roll data.
+   * @returns {boolean}             Whether the expression is truthy. Invalid expressions are false.
+   */
+  static evaluateCondition(expression, rollData) {
+    const replaced = expression.replace(/@([a-z0-9_.-]+)/gi, (match, path) => {
+      const value = foundry.utils.getProperty(rollData, path);
+      if ((value === undefined) || ((typeof value === "object") && (value !== null))) return "null";
+      return JSON.stringify(value);
+    });
+    if (!Module.isSafeExpression(replaced)) {
+      Module._warnOnce(`Unable to evaluate the condition '${expression}'.`);
+      return false;
+    }
+    try {
+      return !!Roll.safeEval(`((${replaced}) ? 1 : 0)`);
+    } catch (err) {
+      Module._warnOnce(`Unable to evaluate the condition '${expression}'.`);
+      return false;
+    }
+  }
+
+  /**
+   * Whether an expression consists only of the tokens allowed in conditions.
+   * @param {string} expression     The expression, with its roll data filled in.
+   * @returns {boolean}
+   */
+  static isSafeExpression(expression) {
+    const token = /\s+|\d+(?:\.\d+)?|"(?:[^"\\\n]|\\.)*"|'(?:[^'\\\n]|\\.)*'|true\b|false\b|null\b|===|!==|==|!=|<=|>=|&&|\|\||[<>!+\-*/%()]/y;
+    let index = 0;
+    while (index < expression.length) {
+      token.lastIndex = index;
+      if (!token.test(expression)) return false;
+      index = token.lastIndex;
+    }
+    return true;
+  }
+
+  /**
+   * Warn in the console once about each problem, such as a condition that cannot be evaluated.
+   * @param {string} warning      The warning.
+   */
+  static _warnOnce(warning) {
+    Module._warnings ??= new Set();
+    if (Module._warnings.has(warning)) return;
+    Module._warnings.add(warning);
+    console.warn(`${Module.ID} | ${warning}`);
+  }
+
+  /**
+   * Determine what a roll group consumes, and whether enough of it is left.
+   * @param {Activity} activity         The activity.
+   * @param {object} group              The roll group.
+   * @returns {object|null}             The document to update, the update, and a description of what is consumed,
+   *                                    or null if the group consumes nothing. If nothing is left, 'reason' explains why.
+   */
+  static getGroupConsumption(activity, group) {
+    const {type = "none", target = "", amount = 1} = group?.consume ?? {};
+    const number = Number(amount) || 0;
+    const actor = activity.actor;
+    if ((type === "none") || (number <= 0)) return null;
+
+    let document;
+    let path;
+    let value;
+    let label;
+    let decrease = true;
+    switch (type) {
+      case "itemUses": {
+        document = target
+          ? actor?.items.find(i => (i.id === target) || (i.system.identifier === target) || (i.name === target))
+          : activity.item;
+        const uses = document?.system.uses;
+        if (!uses?.max) break;
+        path = "system.uses.spent";
+        value = uses.value;
+        decrease = false;
+        label = document.name;
+        break;
+      }
+      case "spellSlots": {
+        const key = Module.isNumeric(target) ? `spell${target}` : target;
+        document = actor;
+        path = `system.spells.${key}.value`;
+        value = actor?.system.spells?.[key]?.value;
+        label = actor?.system.spells?.[key]?.label ?? key;
+        break;
+      }
+      case "attribute":
+        document = actor;
+        path = `system.${target}`;
+        value = foundry.utils.getProperty(actor?.system ?? {}, target);
+        label = foundry.utils.getProperty(actor?.system ?? {}, target.replace(/\.value$/, ".label")) || target;
+        break;
+    }
+
+    const note = game.i18n.format("ROLLGROUPS.ConsumeNote", {amount: number, label: label ?? target});
+    if (!document || !Number.isFinite(value)) {
+      return {reason: game.i18n.format("ROLLGROUPS.ConsumeInvalid", {label: group.label})};
+    }
+    if (value < number) {
+      return {reason: game.i18n.format("ROLLGROUPS.ConsumeEmpty", {label: label ?? target})};
+    }
+    const current = decrease ? value : foundry.utils.getProperty(document, path);
+    return {document, update: {[path]: decrease ? (current - number) : (current + number)}, note};
+  }
+
+  /**
+   * Consume the resource of a roll group once its roll is configured, so that nothing is consumed if the roll
+   * configuration dialog is closed. The roll is cancelled if not enough is left.
+   * Hooks on 'postDamageRollConfiguration'.
+   * @param {DamageRoll[]} rolls      The configured rolls.
+   * @param {object} config           The roll configuration.
+   * @returns {boolean|void}          False to cancel the roll.
+   */
+  static consumeGroup(rolls, config) {
+    const groupConfig = config?.[Module.ID];
+    if (!groupConfig?.consumed || !rolls.length) return;
+
+    // The rolled activity belongs to a temporary clone of the item, whose uses cannot be updated.
+    const subject = config.subject;
+    const item = foundry.utils.fromUuidSync(subject.item.uuid) ?? subject.item;
+    const activity = item.system.activities?.get(subject.id) ?? subject;
+    const consumption = Module.getGroupConsumption(activity, Module.findGroup(activity, groupConfig.group));
+    if (!consumption) return;
+    if (consumption.reason) {
+      ui.notifications.warn(consumption.reason);
+      return false;
+    }
+
+    // Hooks cannot wait for the update, so the roll waits for it instead, by the id of the roll.
+    const update = consumption.document.update(consumption.update).catch(err => {
+      console.error(`${Module.ID} | Failed to consume the resource of a roll group.`, err);
+    });
+    Module._pendingConsumption ??= new Map();
+    Module._pendingConsumption.set(groupConfig.rollId, update);
+  }
+
+  /**
+   * Disable a button whose roll group condition failed, explaining why in its tooltip,
+   * or enable it again if the condition is now met.
+   * @param {HTMLElement} button      The button.
+   * @param {object} check            The result of `Module.checkGroupCondition`.
+   */
+  static disableFailedButton(button, check) {
+    button.toggleAttribute("disabled", !check.pass);
+    if (check.pass) button.removeAttribute("data-tooltip");
+    else button.setAttribute("data-tooltip", check.reason);
+  }
+
+  /**
+   * Helper function to construct the html for saving throw buttons.
+   * @param {Activity} activity     The activity to add buttons to.
+   * @returns {string|null}
+   */
+  static createSaveButtons(activity) {
+    if (activity?.type !== "save") return null;
+    const item = activity.item;
+    const system = Module.adapter.i18nPrefix;
+    const abilities = Module.adapter.abilities;
+    const saves = Module.getSaves(activity).filter(save => save.ability in abilities);
+    if (!saves.length) return null;
+
+    const div = document.createElement("DIV");
+    for (const save of saves) {
+      const wrapper = document.createElement("DIV");
+      wrapper.classList.add(Module.ID, "linked-save");
+      wrapper.setAttribute("data-save-id", save.id);
+
+      const btn = document.createElement("BUTTON");
+      btn.setAttribute("type", "button");
+      btn.setAttribute("data-action", "save");
+      btn.setAttribute("data-ability", save.ability);
+      btn.setAttribute("data-save-id", save.id);
+      const dc = Module.getSaveDC(activity, save);
+      btn.setAttribute("data-dc", dc);
+      const ability = abilities[save.ability].label;
+      const label = save.label ? `${save.label} (${game.i18n.format(`${system}.SavingThrowDC`, {dc, ability})})`
+        : game.i18n.format(`${system}.SavingThrowDC`, {dc, ability});
+      btn.innerHTML = `<i class="fa-solid fa-shield-heart"></i> ${label}`;
+      wrapper.appendChild(btn);
+
+      // Buttons to roll the linked group on a failed or successful save.
+      const linked = item.system.activities?.get(save.link.activity);
+      const group = linked ? Module.findGroup(linked, save.link.group) : null;
+      if (group) {
+        const outcomes = [["Failure", 1]];
+        const multiplier = Module.SUCCESS_MULTIPLIERS[save.onSuccess] ?? 0.5;
+        if (multiplier > 0) outcomes.push(["Success", multiplier]);
+        for (const [outcome, mult] of outcomes) {
+          const dmg = document.createElement("BUTTON");
+          dmg.setAttribute("type", "button");
+          dmg.setAttribute("data-action", "rollgroup-damage-save");
+          dmg.setAttribute("data-group", group.id);
+          dmg.setAttribute("data-multiplier", String(mult));
+          dmg.setAttribute("data-success-multiplier", String(multiplier));
+          dmg.setAttribute("data-save-id", save.id);
+          dmg.setAttribute("data-item-uuid", item.uuid);
+          dmg.setAttribute("data-activity-id", linked.id);
+          dmg.setAttribute("data-actor-uuid", item.actor?.uuid ?? "");
+          dmg.innerHTML = `<i class="fa-solid fa-burst"></i> ${game.i18n.format(`ROLLGROUPS.SaveOutcome${outcome}`, {
+            label: group.label,
+            multiplier: mult
+          })}`;
+          wrapper.appendChild(dmg);
+        }
+      }
+
+      div.appendChild(wrapper);
+    }
+    return div.innerHTML;
+  }
+
+  /**
+   * The drag data of a roll group.
+   * @param {Item5e} item           The item.
+   * @param {string} activityId     The id of the activity.
+   * @param {string} groupId        The id of the group.
+   * @returns {object}
+   */
+  static getGroupDragData(item, activityId, groupId) {
+    return {type: "RollGroup", uuid: item.uuid, activityId, groupId};
+  }
+
+  /**
+   * Start dragging a group button of a chat card.
+   * @param {DragEvent} event     The drag event.
+   */
+  static onDragGroupButton(event) {
+    const {itemUuid, activityId, group} = event.currentTarget.dataset;
+    const data = {type: "RollGroup", uuid: itemUuid, activityId, groupId: group};
+    event.dataTransfer.setData("text/plain", JSON.stringify(data));
+  }
+
+  /**
+   * Create a macro when a roll group is dropped on the hotbar.
+   * Hooks on 'hotbarDrop'.
+   * @param {Hotbar} bar        The hotbar.
+   * @param {object} data       The drag data.
+   * @param {number} slot       The slot the data was dropped on.
+   * @returns {boolean|void}    False to prevent the default handling.
+   */
+  static onHotbarDrop(bar, data, slot) {
+    if (data.type !== "RollGroup") return;
+    Module.createGroupMacro(data, slot);
+    return false;
+  }
+
+  /**
+   * Create a macro that rolls a roll group, finding the item by uuid and the group by id, and assign it to
+   * a hotbar slot. An existing macro of the user with the same command is reused.
+   * @param {object} data       The drag data.
+   * @param {number} slot       The hotbar slot.
+   * @returns {Promise<Macro|null>}
+   */
+  static async createGroupMacro(data, slot) {
+    const item = await fromUuid(data.uuid);
+    const activity = item?.system.activities?.get(data.activityId);
+    const group = activity ? Module.findGroup(activity, data.groupId) : null;
+    if (!group) {
+      ui.notifications.warn(game.i18n.localize("ROLLGROUPS.MacroMissing"));
+      return null;
+    }
+
+    const args = [data.uuid, group.id, {activity: activity.id}].map(a => JSON.stringify(a)).join(", ");
+    const command = `game.modules.get("${Module.ID}").api.rollGroup(${args});`;
+    let macro = game.macros.find(m => (m.command === command) && m.isOwner);
+    macro ??= await Macro.implementation.create({
+      name: `${item.name}: ${group.label}`,
+      type: "script",
+      img: item.img,
+      command,
+      flags: {[Module.ID]: {uuid: data.uuid, activityId: activity.id, groupId: group.id}}
     });
+    await game.user.assignHotbarMacro(macro, slot);
+    return macro;
+  }
+
+  /**
+   * Add a control to each item row of an actor sheet that has roll groups, to roll a group without
+   * using the item first.
+   * Hooks on 'renderActorSheet'.
+   * @param {ActorSheet} sheet      The actor sheet.
+   * @param {HTMLElement} html      The element of the sheet.
+   */
+  static createQuickRollControls(sheet, html) {
+    html = Module.toElement(html);
+    if (!html || !sheet.actor?.isOwner) return;
+    const {sheetItemRow, sheetItemControls} = Module.adapter.selectors;
+    for (const row of html.querySelectorAll(sheetItemRow)) {
+      const item = sheet.actor.items.get(row.dataset.itemId);
+      const entries = Module.getQuickRollEntries(item);
+      if (!entries.length) continue;
+
+      const control = document.createElement("A");
+      control.classList.add("item-control", `${Module.ID}-quick-roll`);
+      control.setAttribute("data-tooltip", "ROLLGROUPS.QuickRoll");
+      control.innerHTML = "<i class=\"fa-solid fa-dice\"></i>";
+      const controls = row.querySelector(sheetItemControls);
+      if (controls) controls.prepend(control);
+      else row.append(control);
+      new ContextMenu(row, `.${Module.ID}-quick-roll`, entries, {eventName: "click", jQuery: false});
+    }
+  }
+
+  /**
+   * The context menu entries to roll each roll group of an item.
+   * @param {Item5e|null} item      The item.
+   * @returns {object[]}
+   */
+  static getQuickRollEntries(item) {
+    const activities = Module.getDamageActivities(item).filter(a => Module.getActivityConfig(a).groups?.length);
+    return activities.flatMap(activity => Module.getActivityConfig(activity).groups.map(group => {
+      const label = group.label || game.i18n.localize("ROLLGROUPS.GroupPlaceholder");
+      return {
+        name: (activities.length > 1) ? `${activity.name}: ${label}` : label,
+        icon: "<i class=\"fa-solid fa-burst\"></i>",
+        callback: () => item.rollDamageGroup({activity: activity.id, rollgroup: group.id})
+      };
+    }));
+  }
+
+  /**
+   * Create the buttons in activity sheets to open the roll groups and saving throw config menus.
+   * Hooks on 'renderActivitySheet'.
+   * @param {ActivitySheet} sheet                 The sheet of an activity.
+   * @param {HTMLElement|jQuery|Array} html       The element of the sheet.
+   */
+  static createConfigButton(sheet, html) {
+    try {
+      const root = Module.toElement(html);
+      if (!root) return;
+
+      const activity = sheet.activity;
+      const item = activity?.item;
+      if (!item) return;
+
+      const addDamage = root.querySelector(Module.adapter.selectors.sheetDamage);
+      if (addDamage) {
+        const div = document.createElement("DIV");
+        div.innerHTML = `
+          <a class="${Module.ID} config-button" data-tooltip="ROLLGROUPS.OpenConfig">
+            ${game.i18n.localize("ROLLGROUPS.GroupConfig")} <i class="fa-solid fa-edit"></i>
+          </a>`;
+        if (sheet.isEditable) {
+          div.querySelector("A").addEventListener("click", () => {
+            new GroupConfig({document: item, activityId: activity.id}).render({force: true});
+          });
+        }
+        addDamage.after(div.firstElementChild);
+      }
+
+      const saveDC = root.querySelector(Module.adapter.selectors.sheetSaveDC);
+      if (saveDC) {
+        const div = document.createElement("DIV");
+        div.innerHTML = `
+          <a class="${Module.ID} save-config-button" data-tooltip="ROLLGROUPS.OpenSaveConfig">
+            <i class="fa-solid fa-plus"></i>
+          </a>`;
+        if (sheet.isEditable) {
+          div.querySelector("A").addEventListener("click", () => {
+            new SaveConfig({document: item, activityId: activity.id}).render({force: true});
+          });
+        }
+        saveDC.after(div.firstElementChild);
+      }
+    } catch (err) {
+      console.error(`${Module.ID} | createConfigButton error`, err);
+    }
+  }
+
+  /**
+   * Create the listener for each rollgroups button in a chat message.
+   * Hooks on 'renderChatMessage'.
+   * @param {ChatMessage} message     The message being rendered.
+   * @param {HTMLElement} html        The element of the message.
+   */
+  static createChatLogListeners(message, html) {
+    html = Module.toElement(html);
+    if (!html) return;
+    Module.renderCardButtons(message, html);
+
+    html.querySelectorAll("[data-action^='rollgroup-damage']").forEach(n => {
+      n.addEventListener("click", Module.rollDamageFromChat);
+    });
+
+    html.querySelectorAll("[data-action='rollgroup-damage'][draggable]").forEach(n => {
+      n.addEventListener("dragstart", Module.onDragGroupButton);
+    });
+
+    html.querySelectorAll("[data-action^='rollgroup-bladecantrip'], [data-action='rollgroup-rider-pick']").forEach(n => {
+      n.addEventListener("click", Module.pickEquippedWeapon);
+    });
+
+    html.querySelectorAll("[data-action='rollgroup-rider-arm']").forEach(n => {
+      n.addEventListener("click", event => {
+        const activity = Module.findActivity(event);
+        if (activity) Module.toggleRider(activity);
+      });
+    });
+
+    Module.createApplyControls(message, html);
+
+    // Also ensure save buttons added by this module work
+    html.querySelectorAll("[data-action='save'][data-dc][data-save-id]").forEach(n => {
+      n.addEventListener("click", event => Module.requestSaves(message, event.currentTarget));
+    });
+
+    Module.createSaveResults(message, html);
+  }
+
+  /**
+   * Request a saving throw from every targeted token for one of the extra saves on a card.
+   * Tokens owned by an active player are rolled by that player; all others are rolled by this user
+   * if they own them, or else by the active GM.
+   * @param {ChatMessage} message       The message with the save button.
+   * @param {HTMLElement} button        The clicked save button.
+   * @returns {Promise<void>}
+   */
+  static async requestSaves(message, button) {
+    const tokens = Array.from(game.user.targets).filter(t => t.actor);
+    if (!tokens.length) {
+      ui.notifications.warn(game.i18n.localize("ROLLGROUPS.NoTargets"));
+      return;
+    }
+
+    const request = {
+      messageId: message.id,
+      saveId: button.dataset.saveId,
+      ability: button.dataset.ability,
+      dc: Number(button.dataset.dc)
+    };
+
+    const local = [];
+    for (const token of tokens) {
+      const actor = token.actor;
+      const player = game.users.find(u => u.active && !u.isGM && (u.character === actor))
+        ?? game.users.find(u => u.active && !u.isGM && actor.testUserPermission(u, "OWNER"));
+      const roller = player ?? (actor.isOwner ? game.user : game.users.activeGM);
+      if (!roller) continue;
+
+      const data = {...request, tokenUuid: token.document.uuid, actorUuid: actor.uuid};
+      if (roller === game.user) local.push(data);
+      else Module.emit("requestSave", {...data, userId: roller.id});
+    }
+
+    const configure = local.length === 1;
+    for (const data of local) await Module.rollRequestedSave(data, {configure});
+  }
+
+  /**
+   * Roll a requested saving throw and record its result on the originating card.
+   * @param {object} data                 The save request.
+   * @param {object} [options]
+   * @param {boolean} [options.configure]   Whether to show the roll configuration dialog.
+   * @param {boolean} [options.prompt]      Whether to ask the user to confirm first.
+   * @returns {Promise<object|null>}      The recorded result.
+   */
+  static async rollRequestedSave(data, {configure = true, prompt = false} = {}) {
+    const actor = await fromUuid(data.actorUuid);
+    if (!actor) return null;
+    const ability = Module.adapter.abilities[data.ability]?.label ?? data.ability;
+
+    if (prompt) {
+      const confirm = await foundry.applications.api.DialogV2.confirm({
+        window: {title: game.i18n.localize("ROLLGROUPS.SaveRequestTitle")},
+        content: `<p>${game.i18n.format("ROLLGROUPS.SaveRequestContent", {name: actor.name, ability, dc: data.dc})}</p>`
+      });
+      if (!confirm) return null;
+    }
+
+    let roll;
+    if (typeof actor.rollSavingThrow === "function") {
+      const rolls = await actor.rollSavingThrow({ability: data.ability, target: data.dc}, {configure});
+      roll = Array.isArray(rolls) ? rolls[0] : rolls;
+    } else {
+      roll = await actor.rollAbilitySave(data.ability, {targetValue: data.dc, fastForward: !configure});
+    }
+    if (!roll) return null;
+
+    const result = {
+      tokenUuid: data.tokenUuid,
+      actorUuid: actor.uuid,
+      name: actor.token?.name ?? actor.name,
+      total: roll.total,
+      dc: data.dc,
+      success: roll.total >= data.dc
+    };
+    await Module.recordSaveResult(data.messageId, data.saveId, result);
+    return result;
+  }
+
+  /**
+   * Write the result of a saving throw into the originating card, or ask the active GM to do so.
+   * @param {string} messageId      The id of the originating message.
+   * @param {string} saveId         The id of the extra save.
+   * @param {object} result         The result of the saving throw.
+   * @returns {Promise<ChatMessage|void>}
+   */
+  static async recordSaveResult(messageId, saveId, result) {
+    const message = game.messages.get(messageId);
+    if (!message) return;
+    if (!message.canUserModify(game.user, "update")) {
+      Module.emit("saveResult", {messageId, saveId, result});
+      return;
+    }
+    const key = result.tokenUuid.replaceAll(".", "-");
+    return message.update({[`flags.${Module.ID}.saveResults.${saveId}.${key}`]: result});
+  }
+
+  /**
+   * Display the recorded saving throw results below each extra save on a card.
+   * @param {ChatMessage} message     The message being rendered.
+   * @param {HTMLElement} html        The element of the message.
+   */
+  static createSaveResults(message, html) {
+    const results = message.flags[Module.ID]?.saveResults ?? {};
+    for (const [saveId, entries] of Object.entries(results)) {
+      const wrapper = html.querySelector(`.rollgroups.linked-save[data-save-id='${saveId}']`);
+      if (!wrapper) continue;
+      const list = document.createElement("UL");
+      list.classList.add(Module.ID, "save-results");
+      for (const entry of Object.values(entries)) {
+        const li = document.createElement("LI");
+        li.classList.add(entry.success ? "success" : "failure");
+        li.innerHTML = game.i18n.format(entry.success ? "ROLLGROUPS.SaveResultSuccess" : "ROLLGROUPS.SaveResultFailure", {
+          name: entry.name, total: entry.total, dc: entry.dc
+        });
+        list.append(li);
+      }
+      wrapper.append(list);
+    }
+  }
+
+  /**
+   * The name of the module's socket.
+   * @type {string}
+   */
+  static get SOCKET() {
+    return `module.${Module.ID}`;
+  }
+
+  /**
+   * Send a request over the module's socket.
+   * @param {string} action     The type of request.
+   * @param {object} data       The data of the request.
+   */
+  static emit(action, data) {
+    game.socket.emit(Module.SOCKET, {action, data});
+  }
+
+  /**
+   * Handle a request received over the module's socket.
+   * @param {object} request
+   * @param {string} request.action     The type of request.
+   * @param {object} request.data       The data of the request.
+   */
+  static async onSocket({action, data}) {
+    switch (action) {
+      case "requestSave":
+        if (data.userId === game.user.id) await Module.rollRequestedSave(data, {prompt: true});
+        break;
+      case "saveResult":
+        if (game.user === game.users.activeGM) await Module.recordSaveResult(data.messageId, data.saveId, data.result);
+        break;
+      case "cardAttack":
+        if (game.user === game.users.activeGM) await Module.recordCardAttack(data.messageId, data.attack);
+        break;
+      case "recordApplication":
+        if (game.user === game.users.activeGM) await Module.recordApplication(data.messageId, data.entries);
+        break;
+      case "rollGroup":
+        if (data.userId === game.user.id) await Module.rollRequestedGroup(data);
+        break;
+      case "recordHistory":
+        if (game.user === game.users.activeGM) await Module.addHistory(data.key, data.entries);
+        break;
+    }
+  }
+
+  /**
+   * Make a damage roll using one of the buttons created in the chatlog. If the user cannot roll the activity,
+   * the roll is requested from a user who can.
+   * @param {PointerEvent} event              The initiating click event.
+   * @returns {Promise<DamageRoll[]|void>}    The damage rolls.
+   */
+  static async rollDamageFromChat(event) {
+    const button = event.currentTarget;
+    const request = {...button.dataset, messageId: button.closest("[data-message-id]")?.dataset?.messageId};
+    const activity = Module.findActivity(event);
+    if (!Module.canRollActivity(activity)) return Module.requestGroupRoll(activity, request);
+    return Module.rollGroupFromCard(activity, request, {event});
+  }
+
+  /**
+   * Roll a group from a chat card.
+   * @param {Activity} activity               The activity.
+   * @param {object} request                  The data of the clicked button, and the id of its message.
+   * @param {object} [options]
+   * @param {Event} [options.event]           The initiating click event.
+   * @param {object} [options.dialog]         The dialog configuration.
+   * @returns {Promise<DamageRoll[]|void>}    The damage rolls.
+   */
+  static async rollGroupFromCard(activity, request, {event = null, dialog = {}} = {}) {
+    const {messageId, action = "", multiplier, successMultiplier, saveId} = request;
+    const message = game.messages.get(messageId);
+
+    // Carry the outcome of the latest attack, so that damage is critical on a critical hit and skips missed targets.
+    const attack = Module.findAttack(message);
+    const attackConfig = attack ? {[Module.ID]: {attack}} : {};
+    if (attack?.critical) attackConfig.isCritical = true;
+    if (request.group === "all") return Module.rollAllGroups(activity, {event, ...attackConfig});
+
+    // The group to roll, and the parts that belong to it.
+    const group = Module.findGroup(activity, request.group);
+
+    // Return the damage roll.
+    const versatile = action.endsWith("versatile");
+    const config = {event, [Module.ID]: {}, ...attackConfig};
+    if (Module.isNumeric(multiplier)) config[Module.ID].multiplier = Number(multiplier);
+
+    // Carry the results of the linked save, so that damage can be applied to who failed or succeeded.
+    const results = saveId ? message?.flags[Module.ID]?.saveResults?.[saveId] : null;
+    if (results) {
+      config[Module.ID].targets = Object.values(results).map(r => ({actorUuid: r.actorUuid, name: r.name, success: r.success}));
+      config[Module.ID].successMultiplier = Number(successMultiplier);
+    }
+    if (versatile) config.attackMode = "twoHanded";
+    else if (action.endsWith("offhand")) Module.configureOffhand(activity, config);
+    return Module.rollGroup(activity, group, config, dialog);
+  }
+
+  /**
+   * Whether the current user can roll the damage of an activity.
+   * @param {Activity|null} activity    The activity.
+   * @returns {boolean}
+   */
+  static canRollActivity(activity) {
+    if (!activity) return false;
+    return activity.actor ? activity.actor.isOwner : activity.item.isOwner;
+  }
+
+  /**
+   * Whether a user may ask another user to roll a group they cannot roll themselves.
+   * @param {User} [user]     The user. Defaults to the current user.
+   * @returns {boolean}
+   */
+  static canRequestRolls(user = game.user) {
+    const role = Module.REQUEST_ROLES[game.settings.get(Module.ID, "rollRequests")];
+    return !!role && user.hasRole(role);
+  }
+
+  /**
+   * Find the user who should roll for an actor on behalf of another user: an active player who owns the actor,
+   * or else the active GM.
+   * @param {Actor5e|null} actor      The actor.
+   * @returns {User|null}
+   */
+  static findRoller(actor) {
+    const player = actor ? game.users.find(u => u.active && !u.isGM && actor.testUserPermission(u, "OWNER")) : null;
+    return player ?? game.users.activeGM ?? null;
+  }
+
+  /**
+   * Ask another user to roll a group from a chat card, for a user who cannot roll it.
+   * @param {Activity|null} activity    The activity, if it could be found.
+   * @param {object} request            The data of the clicked button, and the id of its message.
+   */
+  static requestGroupRoll(activity, request) {
+    if (!Module.canRequestRolls()) {
+      ui.notifications.warn(game.i18n.localize("ROLLGROUPS.RequestNotAllowed"));
+      return;
+    }
+    const actor = activity?.actor ?? foundry.utils.fromUuidSync(request.actorUuid);
+    const roller = Module.findRoller(actor);
+    if (!roller || (roller === game.user)) {
+      ui.notifications.warn(game.i18n.localize("ROLLGROUPS.RequestNoRoller"));
+      return;
+    }
+    Module.emit("rollGroup", {...request, userId: roller.id, requesterId: game.user.id});
+    ui.notifications.info(game.i18n.format("ROLLGROUPS.RequestSent", {name: roller.name}));
+  }
+
+  /**
+   * Roll a group that another user asked for.
+   * @param {object} data     The request.
+   * @returns {Promise<DamageRoll[]|void>}    The damage rolls.
+   */
+  static async rollRequestedGroup(data) {
+    const requester = game.users.get(data.requesterId);
+    if (!requester || !Module.canRequestRolls(requester)) return;
+    const message = game.messages.get(data.messageId);
+    const activity = Module.getCardActivity(message)
+      ?? foundry.utils.fromUuidSync(data.itemUuid)?.system.activities?.get(data.activityId);
+    if (!Module.canRollActivity(activity)) return;
+    return Module.rollGroupFromCard(activity, data, {dialog: {configure: false}});
+  }
+
+  /**
+   * Roll a damage group from an item. Added to the item class.
+   * @param {object} [config]
+   * @param {string|number} [config.rollgroup]   The id of the group to roll, its index, or 'all'.
+   * @param {string} [config.activity]        The id of the activity. Defaults to the first damaging activity.
+   * @param {boolean} [config.offhand]        Whether to roll an off-hand attack's damage.
+   * @returns {Promise<DamageRoll[]|null>}    The damage rolls.
+   */
+  static async rollDamageGroup({
+    rollgroup = 0,
+    activity = null,
+    critical = false,
+    event = null,
+    versatile = false,
+    offhand = false,
+    options = {}
+  } = {}) {
+    const act = activity ? this.system.activities?.get(activity) : Module.getDamageActivities(this)[0];
+    if (!act) return null;
+
+    const config = {...options, event, isCritical: critical};
+    if (versatile) config.attackMode = "twoHanded";
+    else if (offhand) Module.configureOffhand(act, config);
+
+    const groups = Module.getActivityConfig(act).groups ?? [];
+    if (!groups.length) return act.rollDamage?.(config);
+    if (rollgroup === "all") return Module.rollAllGroups(act, config);
+
+    return Module.rollGroup(act, Module.findGroup(act, rollgroup), config);
+  }
+
+  /**
+   * Whether an actor has a feature that lets it add its ability modifier to the damage of off-hand attacks,
+   * such as the Two-Weapon Fighting fighting style. Features are matched by identifier or name.
+   * @param {Actor5e} actor     The actor.
+   * @returns {boolean}
+   */
+  static hasOffhandFeature(actor) {
+    return !!actor?.items.some(item => {
+      const slug = (item.system.identifier || item.name).slugify({strict: true});
+      return Module.OFFHAND_FEATURES.includes(slug);
+    });
+  }
+
+  /**
+   * Configure a damage roll as an off-hand attack. A positive ability modifier is left out of the damage,
+   * unless the actor has a feature that allows it.
+   * @param {Activity} activity     The attack activity.
+   * @param {object} config         The damage roll configuration.
+   */
+  static configureOffhand(activity, config) {
+    if (Module.hasOffhandFeature(activity.actor)) return;
+    config.attackMode = "offhand";
+    config[Module.ID] = {...config[Module.ID], offhand: true};
+  }
+
+  /**
+   * Remove a positive ability modifier from the formulas of an off-hand attack's damage rolls.
+   * Hooks on 'preRollDamageV2'.
+   * @param {object} config       The roll configuration.
+   */
+  static removeOffhandModifier(config) {
+    if (!config?.[Module.ID]?.offhand) return;
+    for (const roll of config.rolls ?? []) {
+      if (roll.options?.[Module.ID]?.rider || !(roll.data?.mod > 0)) continue;
+      roll.parts = (roll.parts ?? []).map(part => part.replace(/@mod\b/g, "0"));
+    }
+  }
+
+  /**
+   * Roll one roll group of an activity. The group's condition is checked, other modules can adjust or cancel the
+   * roll, and the group's resource is consumed once the roll is configured.
+   * @param {Activity} activity             The activity.
+   * @param {object} group                  The roll group.
+   * @param {object} config                 The damage roll configuration.
+   * @param {object} [dialog]               The dialog configuration.
+   * @param {object} [message]              The message configuration.
+   * @param {object} [options]
+   * @param {boolean} [options.notify]      Whether to warn the user if the group's condition is not met.
+   * @param {boolean} [options.record]      Whether to record the roll in the item's roll history.
+   * @returns {Promise<DamageRoll[]|null>}  The damage rolls.
+   */
+  static async rollGroup(activity, group, config, dialog = {}, message = {}, {notify = true, record = true} = {}) {
+    const check = Module.checkGroupCondition(activity, group);
+    if (!check.pass) {
+      if (notify) ui.notifications.warn(check.reason);
+      return null;
+    }
+
+    // Other modules can change which parts are rolled, or cancel the roll by returning false.
+    const data = {group: foundry.utils.deepClone(group), parts: [...(group?.parts ?? [])]};
+    if (Hooks.call(`${Module.ID}.preRollGroup`, activity, data, config) === false) return null;
+    const rolled = {...data.group, parts: data.parts};
+
+    // Users can prefer to skip the roll configuration dialog, and hold shift to show it.
+    if ((dialog.configure === undefined) && (game.settings.get(Module.ID, "rollMode") === "fastForward")) {
+      dialog.configure = !!config.event?.shiftKey;
+    }
+
+    const clone = Module.constructClone(activity, rolled);
+    if (!clone) return null;
+    const consumption = Module.getGroupConsumption(activity, group);
+    if (consumption?.reason) {
+      ui.notifications.warn(consumption.reason);
+      return null;
+    }
+    const consumed = consumption?.note ?? null;
+    const rollId = foundry.utils.randomID();
+    const modifiers = Module.getGroupModifiers(rolled);
+    config[Module.ID] = {...config[Module.ID], group: group.id, rollId, consumed, modifiers};
+
+    const rolls = await clone.rollDamage(config, dialog, message);
+
+    // Wait for the resource to be updated, so that the next group of a Roll All does not read a stale value.
+    const update = Module._pendingConsumption?.get(rollId);
+    Module._pendingConsumption?.delete(rollId);
+    await update;
+    if (rolls?.length) {
+      Hooks.callAll(`${Module.ID}.rollGroup`, activity, rolled, rolls);
+      config[Module.ID].history = Module.createHistoryEntry(activity, rolled, rolls);
+      if (record) await Module.recordHistory(activity, [config[Module.ID].history]);
+    }
+    return rolls ?? null;
+  }
+
+  /**
+   * Create the roll history entry of a group roll.
+   * @param {Activity} activity       The activity.
+   * @param {object} group            The rolled group.
+   * @param {DamageRoll[]} rolls      The damage rolls, including those of weapon riders.
+   * @returns {object}
+   */
+  static createHistoryEntry(activity, group, rolls) {
+    const own = rolls.filter(r => !r.options?.[Module.ID]?.rider);
+    return {
+      time: Date.now(),
+      user: game.user.name,
+      itemUuid: activity.item.uuid,
+      itemName: activity.item.name,
+      activityId: activity.id,
+      groupId: group.id,
+      groupLabel: group.label ?? "",
+      actorUuid: activity.actor?.uuid ?? null,
+      actorName: activity.actor?.name ?? "",
+      total: own.reduce((acc, r) => acc + r.total, 0),
+      critical: own.some(r => r.isCritical),
+      expected: Module.previewGroup(activity, group)?.total.avg ?? null
+    };
+  }
+
+  /**
+   * Record group rolls in the world's roll history. Players send the entries to the active GM.
+   * @param {Activity} activity       The activity.
+   * @param {object[]} entries        The history entries.
+   * @returns {Promise<void>}
+   */
+  static async recordHistory(activity, entries) {
+    if (activity.item.pack || !entries.length) return;
+    const key = Module.getHistoryKey(activity.item);
+    if (game.user.isGM) await Module.addHistory(key, entries);
+    else Module.emit("recordHistory", {key, entries});
+  }
+
+  /**
+   * Add entries to the world's roll history. Writes are queued, so that entries added in quick succession
+   * are not lost.
+   * @param {string} key            The history key of the item.
+   * @param {object[]} entries      The entries.
+   * @returns {Promise<void>}
+   */
+  static addHistory(key, entries) {
+    return Module._queueHistory(() => {
+      const history = {...game.settings.get(Module.ID, "history")};
+      history[key] = [...(history[key] ?? []), ...entries].slice(-Module.HISTORY_LIMIT);
+      return game.settings.set(Module.ID, "history", history);
+    });
+  }
+
+  /**
+   * Queue a change to the roll history after the changes that are already pending.
+   * @param {Function} change       The change, which may return a promise.
+   * @returns {Promise<void>}
+   */
+  static _queueHistory(change) {
+    Module._historyQueue = (Module._historyQueue ?? Promise.resolve()).then(change).then(() => {}, err => {
+      console.error(`${Module.ID} | Failed to update the roll history.`, err);
+    });
+    return Module._historyQueue;
+  }
+
+  /**
+   * Retrieve the key under which the rolls of an item are recorded: the id of the document it was created from,
+   * so that copies of an item on different actors are counted together, or else its own uuid.
+   * @param {Item5e} item       The item.
+   * @returns {string}
+   */
+  static getHistoryKey(item) {
+    return item._stats?.compendiumSource ?? item.flags.core?.sourceId ?? item.uuid;
+  }
+
+  /**
+   * Retrieve the roll history of an item and of its copies, oldest first.
+   * @param {Item5e} item       The item.
+   * @returns {object[]}
+   */
+  static getItemHistory(item) {
+    return game.settings.get(Module.ID, "history")[Module.getHistoryKey(item)] ?? [];
+  }
+
+  /**
+   * Summarize the roll history of each group of an item: how often it was rolled, its actual and expected averages,
+   * and how often each total was rolled.
+   * @param {Item5e} item       The item.
+   * @returns {object[]}        The statistics of each group.
+   */
+  static getGroupStatistics(item) {
+    const history = Module.getItemHistory(item);
+    const stats = new Map();
+    for (const entry of history) {
+      const key = `${entry.activityId}.${entry.groupId}`;
+      if (!stats.has(key)) stats.set(key, {key, label: entry.groupLabel, entries: []});
+      const stat = stats.get(key);
+      stat.label = entry.groupLabel || stat.label;
+      stat.entries.push(entry);
+    }
+
+    const round = n => Math.round(n * 10) / 10;
+    const average = values => values.length ? round(values.reduce((acc, v) => acc + v, 0) / values.length) : null;
+    return Array.from(stats.values(), ({key, label, entries}) => {
+      const totals = entries.map(e => e.total);
+      const normal = entries.filter(e => !e.critical).map(e => e.total);
+      const counts = totals.reduce((acc, t) => acc.set(t, (acc.get(t) ?? 0) + 1), new Map());
+      const most = Math.max(...counts.values());
+      return {
+        key,
+        label,
+        count: entries.length,
+        share: Math.round(100 * entries.length / history.length),
+        critical: entries.filter(e => e.critical).length,
+        min: Math.min(...totals),
+        max: Math.max(...totals),
+        average: average(totals),
+        normalAverage: average(normal),
+        expected: average(entries.map(e => e.expected).filter(e => Number.isFinite(e))),
+        distribution: Array.from(counts, ([total, count]) => ({total, count, width: Math.round(100 * count / most)}))
+          .sort((a, b) => a.total - b.total)
+      };
+    }).sort((a, b) => b.count - a.count);
+  }
+
+  /**
+   * Export the roll history of an item as a CSV file.
+   * @param {Item5e} item       The item.
+   */
+  static exportHistory(item) {
+    const history = Module.getItemHistory(item);
+    if (!history.length) {
+      ui.notifications.warn(game.i18n.localize("ROLLGROUPS.StatisticsEmpty"));
+      return;
+    }
+    const columns = ["time", "itemName", "groupId", "groupLabel", "actorName", "user", "total", "critical", "expected"];
+    const escape = value => `"${String(value ?? "").replaceAll("\"", "\"\"")}"`;
+    const rows = history.map(entry => columns.map(column => {
+      return escape((column === "time") ? new Date(entry.time).toISOString() : entry[column]);
+    }).join(","));
+    const csv = [columns.join(","), ...rows].join("\n");
+    saveDataToFile(csv, "text/csv", `${Module.ID}-${item.name.slugify()}-history.csv`);
+  }
+
+  /**
+   * Remove the roll history of an item and of its copies.
+   * @param {Item5e} item       The item.
+   * @returns {Promise<void>}
+   */
+  static clearHistory(item) {
+    return Module._queueHistory(() => {
+      const history = {...game.settings.get(Module.ID, "history")};
+      delete history[Module.getHistoryKey(item)];
+      return game.settings.set(Module.ID, "history", history);
+    });
+  }
+
+  /**
+   * Roll every roll group of an activity and post the results in a single chat message, with one section per group.
+   * Additional rolls in the configuration and armed riders are only added to the first group that is rolled.
+   * @param {Activity} activity           The activity.
+   * @param {object} [config]             The damage roll configuration.
+   * @returns {Promise<DamageRoll[]|null>}    All the damage rolls.
+   */
+  static async rollAllGroups(activity, config = {}) {
+    const groups = Module.getActivityConfig(activity).groups ?? [];
+    const typeLabels = Module.adapter.allDamageTypes;
+    if (config.event && (config.isCritical === undefined)) {
+      config.isCritical = Module.adapter.areKeysPressed(config.event, "skipDialogCritical");
+    }
+
+    const sections = [];
+    const flagSections = [];
+    const allRolls = [];
+    const history = [];
+    for (const group of groups) {
+      if (!group.parts?.length) continue;
+      // Additional rolls and riders are added to the first group that is rolled.
+      const groupConfig = {...config, [Module.ID]: {attack: config[Module.ID]?.attack, skipRiders: !!allRolls.length}};
+      if (allRolls.length) delete groupConfig.rolls;
+      const rolls = await Module.rollGroup(activity, group, groupConfig, {configure: false}, {create: false}, {
+        notify: false, record: false
+      });
+      if (!rolls?.length) continue;
+      history.push(groupConfig[Module.ID].history);
+      const consumed = groupConfig[Module.ID].consumed;
+      flagSections.push({
+        id: group.id,
+        label: group.label,
+        start: allRolls.length,
+        count: rolls.length,
+        attack: groupConfig[Module.ID].attack ?? null
+      });
+
+      const types = new Set(rolls.flatMap(r => r.options?.types ?? [r.options?.type]).filter(t => t));
+      sections.push({
+        label: group.label,
+        formula: rolls.map(r => r.formula).join(" + "),
+        types: [...types].map(t => typeLabels[t]?.label ?? t).join(", "),
+        total: rolls.reduce((acc, r) => acc + r.total, 0),
+        consumed
+      });
+      allRolls.push(...rolls);
+    }
+    if (!allRolls.length) {
+      ui.notifications.error(game.i18n.localize("ROLLGROUPS.RollGroupEmpty"));
+      return null;
+    }
+
+    const content = await renderTemplate(`modules/${Module.ID}/templates/roll-all.hbs`, {sections});
+    const messageData = {
+      content,
+      flavor: `${activity.item.name} - ${game.i18n.localize("ROLLGROUPS.RollAll")}`,
+      speaker: ChatMessage.getSpeaker({actor: activity.actor}),
+      rolls: allRolls,
+      flags: {
+        [Module.system]: {...(activity.messageFlags ?? {}), messageType: "roll", roll: {type: "damage"}},
+        [Module.ID]: {rollAll: true, activityId: activity.id, sections: flagSections}
+      }
+    };
+    ChatMessage.applyRollMode(messageData, game.settings.get("core", "rollMode"));
+    await ChatMessage.create(messageData);
+    await Module.recordHistory(activity, history);
+    return allRolls;
+  }
+
+  /**
+   * Get the modifiers of a roll group: an extra formula, a damage type that replaces the types of its formulas,
+   * how its damage behaves on a critical hit, and extra damage on a critical hit.
+   * @param {object|null} group     The roll group.
+   * @returns {object}
+   */
+  static getGroupModifiers(group) {
+    const {bonus = "", type = "", critical = "normal", criticalBonus = ""} = group?.modifiers ?? {};
+    return {
+      bonus: bonus.trim(),
+      type: (type in Module.adapter.allDamageTypes) ? type : "",
+      critical: ["normal", "noDouble", "maximize"].includes(critical) ? critical : "normal",
+      criticalBonus: criticalBonus.trim()
+    };
+  }
+
+  /**
+   * Construct a clone of an activity's item using a subset of the activity's damage parts,
+   * and return the cloned activity. The group's extra formula and damage type are applied to the clone.
+   * @param {Activity} activity       The activity.
+   * @param {object|null} group       The roll group.
+   * @returns {Activity|false}        The cloned activity, or false if the group is empty.
+   */
+  static constructClone(activity, group) {
+    const ids = new Set(group?.parts ?? []);
+    const parts = Module.getDamageParts(activity);
+    const hasBase = parts[0]?.base ?? false;
+    const includeBase = hasBase && ids.has("base");
+
+    // The group's own scaling replaces the system's scaling of its formulas.
+    const scaling = group?.scaling ?? {};
+    const steps = Module.getScalingSteps(activity, scaling.mode);
+    const add = steps * (Number(scaling.number) || 1);
+
+    const nonBase = parts.filter(p => !p.base);
+    const source = (activity.toObject().damage?.parts ?? []).reduce((acc, part, i) => {
+      if (!ids.has(nonBase[i]?.id)) return acc;
+      if ((scaling.mode ?? "none") !== "none") {
+        const formula = Module.scaleDiceFormula(nonBase[i].formula, add, {term: Number(scaling.term) || 0});
+        part.custom = {enabled: true, formula};
+        part.scaling = {mode: "", number: null, formula: ""};
+      }
+      acc.push(part);
+      return acc;
+    }, []);
+    if (!source.length && !includeBase) {
+      ui.notifications.error(game.i18n.localize("ROLLGROUPS.RollGroupEmpty"));
+      return false;
+    }
+
+    const system = {};
+    const modifiers = Module.getGroupModifiers(group);
+    if (modifiers.type) {
+      for (const part of source) part.types = [modifiers.type];
+      if (includeBase) system.damage = {base: {types: [modifiers.type]}};
+    }
+    if (modifiers.bonus) {
+      const types = modifiers.type ? [modifiers.type] : parts.find(p => ids.has(p.id))?.types ?? [];
+      source.push({
+        number: null,
+        denomination: null,
+        bonus: "",
+        types,
+        custom: {enabled: true, formula: modifiers.bonus},
+        scaling: {mode: "", number: null, formula: ""}
+      });
+    }
+
+    const damage = {parts: source};
+    if (hasBase) damage.includeBase = includeBase;
+    system.activities = {[activity.id]: {damage}};
+    const clone = activity.item.clone({system}, {keepId: true});
+    // Prepare the cloned data so rollDamage can use it
+    if (typeof clone.prepareData === "function") clone.prepareData();
+    return clone.system.activities.get(activity.id);
+  }
+
+  /**
+   * Find the activity of the message a button belongs to.
+   * @param {Event} event           The initiating click event.
+   * @returns {Activity|null}       The activity.
+   */
+  static findActivity(event) {
+    const button = event.currentTarget;
+    const messageId = button.closest("[data-message-id]")?.dataset?.messageId;
+    const message = messageId ? game.messages.get(messageId) : null;
+    const activityId = button.dataset.activityId;
+
+    const associated = Module.getCardActivity(message);
+    if (associated && (!activityId || (associated.id === activityId))) return associated;
+
+    const item = Module.findItem(event);
+    return item?.system?.activities?.get(activityId) ?? null;
+  }
+
+  /**
+   * Find or create an item. If the message has embedded item data, prefer that.
+   */
+  static findItem(event) {
+    const button = event.currentTarget;
+    const messageId = button.closest("[data-message-id]")?.dataset?.messageId;
+    const message = messageId ? game.messages.get(messageId) : null;
+    const flags = message?.flags?.[Module.system];
+    const itemData = flags?.item?.data ?? flags?.itemData;
+
+    // Case 1: Embedded item data in the message, construct a temporary item.
+    if (itemData) {
+      const actor = foundry.utils.fromUuidSync(button.dataset.actorUuid);
+      if (!actor) {
+        ui.notifications.error(game.i18n.localize("ROLLGROUPS.ItemOwnerMissing"));
+        return null;
+      }
+      const item = new Item.implementation(itemData, { parent: actor });
+      if (typeof item.prepareData === "function") item.prepareData();
+      return item;
+    }
+
+    // Case 2: No item data, find the existing item by uuid.
+    else {
+      return foundry.utils.fromUuidSync(button.dataset.itemUuid);
+    }
+  }
+
+  /**
+   * Adjust the flavor of group damage rolls depending on the damage or healing types being used.
+   * Hooks on 'preRollDamageV2'.
+   * @param {object} config       The roll configuration.
+   * @param {object} dialog       The dialog configuration.
+   * @param {object} message      The message configuration.
+   */
+  static variantDamageLabels(config, dialog, message) {
+    const activity = config?.subject;
+    const groupConfig = config?.[Module.ID];
+    if (!activity?.item || !groupConfig || !message) return;
+    try {
+      const item = activity.item;
+      const labels = new Set((config.rolls ?? []).flatMap(r => r.options?.types ?? [r.options?.type]).filter(t => t));
+      const isTemp = (labels.size === 1) && labels.has("temphp");
+      const system = Module.adapter.i18nPrefix;
+      const string = [...labels].every(t => t in Module.adapter.healingTypes) ? `${system}.Healing` : `${system}.DamageRoll`;
+      const actionFlavor = game.i18n.localize(string);
+      const group = Module.findGroup(activity, groupConfig.group);
+      const title = `${item.name} - ${actionFlavor}`;
+
+      let flavor = group?.label ? `${title} (${group.label})` : title;
+      if (isTemp) flavor = `${flavor} (${game.i18n.localize(`${system}.Temp`)})`;
+      if (groupConfig.offhand) flavor = `${flavor} (${game.i18n.localize("ROLLGROUPS.Offhand")})`;
+      if (Number.isFinite(groupConfig.multiplier) && (groupConfig.multiplier !== 1)) {
+        flavor = `${flavor} (${game.i18n.format("ROLLGROUPS.Multiplier", {multiplier: groupConfig.multiplier})})`;
+      }
+      if (groupConfig.consumed) flavor = `${flavor} (${groupConfig.consumed})`;
+      foundry.utils.setProperty(message, "data.flavor", flavor);
+    } catch (err) {
+      console.error(`${Module.ID} | variantDamageLabels`, err);
+    }
+  }
+
+  /**
+   * Apply the critical hit modifiers of a roll group to its damage rolls. The group's damage can be rolled without
+   * doubling, or with its critical dice maximized, and extra damage can be added on a critical hit.
+   * Hooks on 'preRollDamageV2'.
+   * @param {object} config       The roll configuration.
+   */
+  static applyGroupCritical(config) {
+    const modifiers = config?.[Module.ID]?.modifiers;
+    if (!modifiers) return;
+    const rolls = (config.rolls ?? []).filter(roll => !roll.options?.[Module.ID]?.rider);
+    for (const roll of rolls) {
+      roll.options ??= {};
+      roll.options.critical ??= {};
+      if (modifiers.critical === "noDouble") {
+        Object.assign(roll.options.critical, {multiplier: 1, bonusDice: 0, multiplyNumeric: false, powerfulCritical: false});
+      } else if (modifiers.critical === "maximize") {
+        roll.options.critical.powerfulCritical = true;
+      }
+    }
+    if (modifiers.criticalBonus && rolls.length) {
+      const critical = rolls[0].options.critical;
+      critical.bonusDamage = critical.bonusDamage ? `${critical.bonusDamage} + ${modifiers.criticalBonus}` : modifiers.criticalBonus;
+    }
+  }
+
+  /**
+   * Store which group a damage roll belongs to on the message it creates.
+   * Hooks on 'preRollDamageV2'.
+   * @param {object} config       The roll configuration.
+   * @param {object} dialog       The dialog configuration.
+   * @param {object} message      The message configuration.
+   */
+  static flagGroupRoll(config, dialog, message) {
+    const groupConfig = config?.[Module.ID];
+    const activity = config?.subject;
+    if (!groupConfig || !activity || !message) return;
+    const group = Module.findGroup(activity, groupConfig.group);
+    foundry.utils.setProperty(message, `data.flags.${Module.ID}`, {
+      activityId: activity.id,
+      sections: [{
+        id: groupConfig.group,
+        label: group?.label ?? "",
+        start: 0,
+        count: null,
+        multiplier: groupConfig.multiplier ?? 1,
+        targets: groupConfig.targets ?? null,
+        successMultiplier: groupConfig.successMultiplier ?? null,
+        attack: groupConfig.attack ?? null
+      }]
+    });
+  }
+
+  /**
+   * Retrieve the rolls of one group section of a message.
+   * @param {ChatMessage} message     The message.
+   * @param {number} idx              The index of the section.
+   * @returns {DamageRoll[]}
+   */
+  static getSectionRolls(message, idx) {
+    const section = message.flags[Module.ID]?.sections?.[idx];
+    if (!section) return [];
+    const end = Number.isInteger(section.count) ? section.start + section.count : undefined;
+    return message.rolls.slice(section.start, end);
+  }
+
+  /**
+   * Describe the targeted tokens for recording an attack against them.
+   * @returns {object[]}      The uuid of each token's actor, its name, and its armor class.
+   */
+  static getTargetDescriptors() {
+    return Array.from(game.user.targets).filter(t => t.actor).map(t => ({
+      actorUuid: t.actor.uuid,
+      name: t.name,
+      ac: t.actor.system.attributes?.ac?.value ?? null
+    }));
+  }
+
+  /**
+   * Determine the outcome of an attack roll: whether it was a critical hit or a fumble, and whether it hit
+   * each target by comparing its total against the target's armor class. Targets without an armor class
+   * are neither hit nor missed.
+   * @param {D20Roll} roll          The attack roll.
+   * @param {object[]} targets      The targets, with the uuid of their actor, their name, and armor class.
+   * @returns {object}
+   */
+  static getAttackOutcome(roll, targets = []) {
+    const critical = !!roll.isCritical;
+    const fumble = !!roll.isFumble;
+    return {
+      total: roll.total,
+      critical,
+      fumble,
+      targets: targets.map(({actorUuid, name, ac}) => {
+        let hit = null;
+        if (fumble) hit = false;
+        else if (critical) hit = true;
+        else if (Number.isFinite(ac)) hit = roll.total >= ac;
+        return {actorUuid, name, ac, hit};
+      })
+    };
+  }
+
+  /**
+   * Record the outcome of an attack roll on its message.
+   * Hooks on 'preCreateChatMessage'.
+   * @param {ChatMessage} message     The message being created.
+   */
+  static recordAttack(message) {
+    const flags = message.flags[Module.system];
+    const roll = message.rolls[0];
+    if ((flags?.roll?.type !== "attack") || !roll) return;
+    const targets = flags.targets?.map(t => ({actorUuid: t.uuid, name: t.name, ac: t.ac ?? null}));
+    const outcome = Module.getAttackOutcome(roll, targets ?? Module.getTargetDescriptors());
+    message.updateSource({[`flags.${Module.ID}.attack`]: outcome});
+  }
+
+  /**
+   * Record the outcome of an attack on the chat card it was made from, which renders the card again.
+   * Only the user who made the attack records it.
+   * Hooks on 'createChatMessage'.
+   * @param {ChatMessage} message     The created message.
+   * @param {object} options          The creation options.
+   * @param {string} userId           The id of the user who created the message.
+   */
+  static refreshAttackCard(message, options, userId) {
+    const attack = message.flags[Module.ID]?.attack;
+    if (!attack || (userId !== game.user.id)) return;
+    Module.recordCardAttack(message.flags[Module.system]?.originatingMessage, attack);
+  }
+
+  /**
+   * Write the outcome of the latest attack made from a chat card into the card, or ask the active GM to do so.
+   * @param {string} messageId      The id of the chat card.
+   * @param {object} attack         The outcome of the attack.
+   * @returns {Promise<ChatMessage|void>}
+   */
+  static async recordCardAttack(messageId, attack) {
+    const card = game.messages.get(messageId);
+    if (!card) return;
+    if (!card.canUserModify(game.user, "update")) {
+      Module.emit("cardAttack", {messageId, attack});
+      return;
+    }
+    return card.update({[`flags.${Module.ID}.latestAttack`]: attack});
+  }
+
+  /**
+   * Find the outcome of the latest attack made from a chat card.
+   * @param {ChatMessage} message     The chat card.
+   * @returns {object|null}           The outcome of the attack.
+   */
+  static findAttack(message) {
+    return message?.flags[Module.ID]?.latestAttack ?? null;
+  }
+
+  /**
+   * Describe the outcome of an attack.
+   * @param {object} attack     The outcome of the attack.
+   * @returns {string}          The html.
+   */
+  static describeAttack(attack) {
+    const format = names => game.i18n.getListFormatter().format(names);
+    let key = "ROLLGROUPS.AttackOutcome";
+    if (attack.critical) key = "ROLLGROUPS.AttackOutcomeCritical";
+    else if (attack.fumble) key = "ROLLGROUPS.AttackOutcomeFumble";
+    const lines = [game.i18n.format(key, {total: attack.total})];
+    const hit = attack.targets.filter(t => t.hit === true).map(t => t.name);
+    const missed = attack.targets.filter(t => t.hit === false).map(t => t.name);
+    if (hit.length) lines.push(game.i18n.format("ROLLGROUPS.AttackHit", {names: format(hit)}));
+    if (missed.length) lines.push(game.i18n.format("ROLLGROUPS.AttackMissed", {names: format(missed)}));
+    return lines.map(line => `<p>${line}</p>`).join("");
+  }
+
+  /**
+   * Add the controls to apply each group's damage to targets, and the log of applied damage.
+   * @param {ChatMessage} message     The message being rendered.
+   * @param {HTMLElement} html        The element of the message.
+   */
+  static createApplyControls(message, html) {
+    const sections = message.flags[Module.ID]?.sections;
+    if (!sections?.length || !message.rolls?.length) return;
+
+    const content = html.querySelector(".message-content");
+    if (!content) return;
+    const groupElements = content.querySelectorAll(".rollgroups.roll-all .roll-group");
+
+    sections.forEach((section, idx) => {
+      const btn = document.createElement("BUTTON");
+      btn.setAttribute("type", "button");
+      btn.setAttribute("data-action", "rollgroup-apply");
+      btn.setAttribute("data-section", String(idx));
+      btn.classList.add(Module.ID, "apply-button");
+      btn.innerHTML = `<i class="fa-solid fa-crosshairs"></i> ${game.i18n.localize("ROLLGROUPS.ApplyToTargets")}`;
+      btn.addEventListener("click", event => Module.applyGroupToTargets(message, Number(event.currentTarget.dataset.section)));
+      (groupElements[idx] ?? content).append(btn);
+
+      const missed = (section.attack?.targets ?? []).filter(t => t.hit === false).map(t => t.name);
+      if (missed.length) {
+        const note = document.createElement("DIV");
+        note.classList.add(Module.ID, "attack-missed");
+        note.textContent = game.i18n.format("ROLLGROUPS.AttackMissed", {names: game.i18n.getListFormatter().format(missed)});
+        (groupElements[idx] ?? content).append(note);
+      }
+    });
+
+    const applied = message.flags[Module.ID]?.applied ?? [];
+    if (!applied.length) return;
+    const list = document.createElement("UL");
+    list.classList.add(Module.ID, "applied-log");
+    for (const entry of applied) {
+      const li = document.createElement("LI");
+      if (entry.undone) li.classList.add("undone");
+      li.innerHTML = game.i18n.format("ROLLGROUPS.AppliedEntry", {
+        name: entry.name,
+        label: sections[entry.section]?.label ?? "",
+        before: entry.before.value + (entry.before.temp ? ` (+${entry.before.temp})` : ""),
+        after: entry.after.value + (entry.after.temp ? ` (+${entry.after.temp})` : "")
+      });
+      if (game.user.isGM && !entry.undone) {
+        const undo = document.createElement("A");
+        undo.setAttribute("data-action", "rollgroup-undo");
+        undo.setAttribute("data-tooltip", "ROLLGROUPS.UndoApplication");
+        undo.innerHTML = "<i class=\"fa-solid fa-rotate-left\"></i>";
+        undo.addEventListener("click", () => Module.undoApplication(message, entry.id));
+        li.append(undo);
+      }
+      list.append(li);
+    }
+    content.append(list);
+  }
+
+  /**
+   * Apply the rolls of a group to the user's targeted tokens, using each roll's damage type so that
+   * resistances, vulnerabilities, and immunities apply. Healing-only groups heal, and groups of only
+   * temporary hit points grant temporary hit points. If the roll was made for a linked save with
+   * recorded results, it is instead applied to those creatures depending on whether they saved.
+   * If it was made after an attack, it is applied to the creatures the attack hit.
+   * @param {ChatMessage} message     The message with the rolls.
+   * @param {number} section          The index of the group section.
+   * @returns {Promise<object[]>}     The log entries of the application.
+   */
+  static async applyGroupToTargets(message, section) {
+    const rolls = Module.getSectionRolls(message, section);
+    if (!rolls.length) return [];
+
+    const sectionData = message.flags[Module.ID].sections[section];
+    const recipients = new Map();
+
+    // Creatures that made the linked save, or that the attack was made against.
+    if (sectionData.targets?.length) {
+      for (const target of sectionData.targets) {
+        const actor = await fromUuid(target.actorUuid);
+        const multiplier = target.success ? (sectionData.successMultiplier ?? 0.5) : 1;
+        if (actor && (multiplier > 0)) recipients.set(actor, multiplier);
+      }
+    } else if (sectionData.attack?.targets?.length) {
+      const missed = [];
+      for (const target of sectionData.attack.targets) {
+        if (target.hit === false) {
+          missed.push(target.name);
+          continue;
+        }
+        const actor = await fromUuid(target.actorUuid);
+        if (actor) recipients.set(actor, sectionData.multiplier ?? 1);
+      }
+      if (missed.length) {
+        ui.notifications.info(game.i18n.format("ROLLGROUPS.ApplySkipMissed", {names: game.i18n.getListFormatter().format(missed)}));
+      }
+    } else {
+      for (const token of game.user.targets) {
+        if (token.actor) recipients.set(token.actor, sectionData.multiplier ?? 1);
+      }
+    }
+    if (!recipients.size) {
+      ui.notifications.warn(game.i18n.localize("ROLLGROUPS.NoTargets"));
+      return [];
+    }
+
+    const types = rolls.map(r => r.options?.type ?? r.options?.types?.[0]);
+    const kind = types.every(t => t === "temphp") ? "temphp" : Module.classifyTypes(types);
+    const sum = rolls.reduce((acc, r) => acc + r.total, 0);
+    const damages = rolls.map(r => ({
+      value: r.total,
+      type: r.options?.type ?? r.options?.types?.[0],
+      properties: new Set(r.options?.properties ?? [])
+    }));
+
+    const entries = [];
+    for (const [actor, multiplier] of recipients) {
+      const total = Math.floor(sum * multiplier);
+      const hp = actor.system.attributes?.hp;
+      if (!hp) continue;
+      if (!actor.isOwner) {
+        ui.notifications.warn(game.i18n.format("ROLLGROUPS.ApplyNoPermission", {name: actor.name}));
+        continue;
+      }
+
+      const before = {value: hp.value, temp: hp.temp ?? 0};
+      if (kind === "temphp") await actor.applyTempHP(total);
+      else if (kind === "healing") await actor.applyDamage(-total);
+      else await actor.applyDamage(damages, {multiplier});
+      const after = {value: actor.system.attributes.hp.value, temp: actor.system.attributes.hp.temp ?? 0};
+
+      entries.push({
+        id: foundry.utils.randomID(),
+        section,
+        kind,
+        actorUuid: actor.uuid,
+        name: actor.name,
+        user: game.user.id,
+        before,
+        after,
+        undone: false
+      });
+    }
+
+    await Module.recordApplication(message.id, entries);
+    return entries;
+  }
+
+  /**
+   * Add entries to the log of applied damage of a message, or ask the active GM to do so.
+   * @param {string} messageId      The id of the message.
+   * @param {object[]} entries      The log entries.
+   * @returns {Promise<ChatMessage|void>}
+   */
+  static async recordApplication(messageId, entries) {
+    const message = game.messages.get(messageId);
+    if (!message || !entries.length) return;
+    if (!message.canUserModify(game.user, "update")) {
+      Module.emit("recordApplication", {messageId, entries});
+      return;
+    }
+    const applied = message.flags[Module.ID]?.applied ?? [];
+    return message.setFlag(Module.ID, "applied", [...applied, ...entries]);
+  }
+
+  /**
+   * Revert a logged application of damage, healing, or temporary hit points. The difference is
+   * reverted, so any other changes to the actor's hit points since then are kept.
+   * @param {ChatMessage} message     The message with the log.
+   * @param {string} entryId          The id of the log entry.
+   * @returns {Promise<Actor5e|void>}
+   */
+  static async undoApplication(message, entryId) {
+    if (!game.user.isGM) return;
+    const applied = foundry.utils.deepClone(message.flags[Module.ID]?.applied ?? []);
+    const entry = applied.find(e => e.id === entryId);
+    if (!entry || entry.undone) return;
+
+    const actor = await fromUuid(entry.actorUuid);
+    const hp = actor?.system.attributes?.hp;
+    if (!hp) {
+      ui.notifications.warn(game.i18n.format("ROLLGROUPS.UndoActorMissing", {name: entry.name}));
+      return;
+    }
+
+    const value = Math.clamp(hp.value + (entry.before.value - entry.after.value), 0, hp.max);
+    const temp = Math.max(0, (hp.temp ?? 0) + (entry.before.temp - entry.after.temp));
+    await actor.update({"system.attributes.hp.value": value, "system.attributes.hp.temp": temp});
+
+    entry.undone = true;
+    await message.setFlag(Module.ID, "applied", applied);
+    return actor;
+  }
+
+  /**
+   * Retrieve the rules for which weapons can be used with an item, such as a blade cantrip or weapon rider.
+   * Blade cantrips by default only allow melee weapons.
+   * @param {Item5e} item       The item.
+   * @returns {object}
+   */
+  static getWeaponRules(item) {
+    const config = item?.flags?.[Module.ID]?.config ?? {};
+    const rules = config.weaponRules ?? {};
+    return {
+      melee: rules.melee ?? true,
+      ranged: rules.ranged ?? !config.bladeCantrip,
+      thrown: rules.thrown ?? true,
+      properties: Array.from(rules.properties ?? []),
+      proficient: !!rules.proficient,
+      natural: rules.natural ?? true,
+      unequipped: !!rules.unequipped
+    };
+  }
+
+  /**
+   * Retrieve the weapon rider configuration of an activity.
+   * @param {Activity} activity     The activity.
+   * @returns {object}
+   */
+  static getRider(activity) {
+    const rider = Module.getActivityConfig(activity).rider ?? {};
+    return {
+      enabled: !!rider.enabled,
+      group: rider.group ?? "",
+      persistent: !!rider.persistent,
+      oncePerTurn: !!rider.oncePerTurn,
+      critOnly: !!rider.critOnly,
+      consume: rider.consume ?? "none"
+    };
+  }
+
+  /**
+   * The key under which an activity is stored in an actor's armed riders.
+   * @param {Activity} activity     The rider activity.
+   * @returns {string}
+   */
+  static riderKey(activity) {
+    return `${activity.item.id}-${activity.id}`;
+  }
+
+  /**
+   * Arm a rider so that its damage is added to the actor's next weapon damage roll.
+   * @param {Activity} activity           The rider activity.
+   * @returns {Promise<Actor5e|void>}
+   */
+  static async armRider(activity) {
+    const actor = activity.actor;
+    if (!actor?.isOwner) return;
+    const key = Module.riderKey(activity);
+    if (actor.getFlag(Module.ID, `riders.${key}`)) return;
+    ui.notifications.info(game.i18n.format("ROLLGROUPS.RiderArmed", {name: activity.item.name}));
+    return actor.setFlag(Module.ID, `riders.${key}`, {
+      uuid: activity.item.uuid,
+      activityId: activity.id,
+      scaling: Number(activity.item.getFlag(Module.system, "scaling") ?? 0),
+      lastUsed: null
+    });
+  }
+
+  /**
+   * Disarm a rider.
+   * @param {Actor5e} actor       The actor.
+   * @param {string} key          The key of the rider.
+   * @returns {Promise<Actor5e|void>}
+   */
+  static async disarmRider(actor, key) {
+    if (!actor?.isOwner) return;
+    return actor.update({[`flags.${Module.ID}.riders.-=${key}`]: null});
+  }
+
+  /**
+   * Arm a rider, or disarm it if it is already armed.
+   * @param {Activity} activity           The rider activity.
+   * @returns {Promise<Actor5e|void>}
+   */
+  static async toggleRider(activity) {
+    const key = Module.riderKey(activity);
+    if (!activity.actor?.getFlag(Module.ID, `riders.${key}`)) return Module.armRider(activity);
+    ui.notifications.info(game.i18n.format("ROLLGROUPS.RiderDisarmed", {name: activity.item.name}));
+    return Module.disarmRider(activity.actor, key);
+  }
+
+  /**
+   * Whether a rider can be consumed. Riders that consume a use need a use left, and riders that consume a spell slot
+   * need a slot of the spell's level or higher.
+   * @param {Activity} activity     The rider activity.
+   * @param {string} consume        The kind of consumption.
+   * @returns {boolean}
+   */
+  static canConsumeRider(activity, consume) {
+    const item = activity.item;
+    if (consume === "uses") return (item.system.uses?.value ?? 0) > 0;
+    if (consume === "slot") return Module.findSpellSlot(activity) !== null;
+    return true;
+  }
+
+  /**
+   * Find the lowest available spell slot for a rider spell.
+   * @param {Activity} activity     The rider activity.
+   * @returns {string|null}         The key of the slot, e.g. 'spell2'.
+   */
+  static findSpellSlot(activity) {
+    const item = activity.item;
+    const base = (item.system.level ?? 1) + Number(item.getFlag(Module.system, "scaling") ?? 0);
+    const spells = item.actor?.system.spells ?? {};
+    for (let level = Math.max(base, 1); level <= 9; level++) {
+      if ((spells[`spell${level}`]?.value ?? 0) > 0) return `spell${level}`;
+    }
+    return null;
+  }
+
+  /**
+   * Whether the rider has already been used during the current combat turn.
+   * @param {object} entry      The armed rider entry.
+   * @returns {boolean}
+   */
+  static usedThisTurn(entry) {
+    const combat = game.combat;
+    if (!combat?.started || !entry.lastUsed) return false;
+    const {combatId, round, turn} = entry.lastUsed;
+    return (combatId === combat.id) && (round === combat.round) && (turn === combat.turn);
+  }
+
+  /**
+   * Add the damage of the actor's armed riders to a weapon attack's damage roll. Riders are only added to the first
+   * group of a Roll All, and not while a previous use of them is still being consumed.
+   * Hooks on 'preRollDamageV2'.
+   * @param {object} config       The roll configuration.
+   * @param {object} dialog       The dialog configuration.
+   * @param {object} message      The message configuration.
+   */
+  static addRiders(config, dialog, message) {
+    const activity = config?.subject;
+    const actor = activity?.actor;
+    if ((activity?.type !== "attack") || (activity.item.type !== "weapon") || !actor) return;
+    if (config[Module.ID]?.skipRiders) return;
+
+    const riders = actor.getFlag(Module.ID, "riders") ?? {};
+    for (const [key, entry] of Object.entries(riders)) {
+      if (Module._consumingRiders?.has(`${actor.uuid}.${key}`)) continue;
+      let item = foundry.utils.fromUuidSync(entry.uuid);
+      if (!item) continue;
+      if (entry.scaling) item = item.clone({[`flags.${Module.system}.scaling`]: entry.scaling}, {keepId: true});
+      const riderActivity = item.system.activities?.get(entry.activityId);
+      if (!riderActivity) continue;
+
+      const rider = Module.getRider(riderActivity);
+      if (!rider.enabled) continue;
+      if (rider.oncePerTurn && Module.usedThisTurn(entry)) continue;
+      if (!Module.canConsumeRider(riderActivity, rider.consume)) {
+        ui.notifications.warn(game.i18n.format("ROLLGROUPS.RiderNoUses", {name: item.name}));
+        continue;
+      }
+
+      const group = Module.findGroup(riderActivity, rider.group);
+      const source = group ? Module.constructClone(riderActivity, group) : riderActivity;
+      if (!source) continue;
+      const rolls = source.getDamageConfig?.({})?.rolls ?? [];
+      for (const roll of rolls) {
+        roll.options ??= {};
+        roll.options.flavor = item.name;
+        roll.options[Module.ID] = {rider: key, critOnly: rider.critOnly};
+        config.rolls.push(roll);
+      }
+    }
+  }
+
+  /**
+   * Remove the rolls of riders that only apply on a critical hit when the damage is not critical.
+   * Hooks on 'postDamageRollConfiguration'.
+   * @param {DamageRoll[]} rolls      The configured rolls.
+   */
+  static filterCritRiders(rolls) {
+    const isCritical = rolls.some(r => r.isCritical);
+    if (isCritical) return;
+    for (let i = rolls.length - 1; i >= 0; i--) {
+      if (rolls[i].options?.[Module.ID]?.critOnly) rolls.splice(i, 1);
+    }
+  }
+
+  /**
+   * Consume the riders that were added to a damage roll. Riders are marked as being consumed until the actor is
+   * updated, so that a roll made in the meantime neither adds nor consumes them again.
+   * Hooks on 'rollDamageV2'.
+   * @param {DamageRoll[]} rolls      The evaluated rolls.
+   * @param {object} data
+   * @param {Activity} data.subject   The activity that was rolled.
+   */
+  static async consumeRiders(rolls, {subject} = {}) {
+    const actor = subject?.actor;
+    if (!actor?.isOwner) return;
+    Module._consumingRiders ??= new Set();
+    const keys = new Set(rolls.map(r => r.options?.[Module.ID]?.rider).filter(k => {
+      return k && !Module._consumingRiders.has(`${actor.uuid}.${k}`);
+    }));
+    if (!keys.size) return;
+    for (const key of keys) Module._consumingRiders.add(`${actor.uuid}.${key}`);
+
+    try {
+      await Module._consumeRiders(actor, keys);
+    } finally {
+      for (const key of keys) Module._consumingRiders.delete(`${actor.uuid}.${key}`);
+    }
+  }
+
+  /**
+   * Spend the uses or spell slots of riders, and disarm them or record their use in the current turn.
+   * @param {Actor5e} actor         The actor the riders are armed on.
+   * @param {Set<string>} keys      The keys of the riders.
+   * @returns {Promise<void>}
+   */
+  static async _consumeRiders(actor, keys) {
+    const update = {};
+    const itemUpdates = [];
+    for (const key of keys) {
+      const entry = actor.getFlag(Module.ID, `riders.${key}`);
+      if (!entry) continue;
+      const item = foundry.utils.fromUuidSync(entry.uuid);
+      let riderActivity = item?.system.activities?.get(entry.activityId);
+      if (!riderActivity) continue;
+      if (entry.scaling) {
+        const clone = item.clone({[`flags.${Module.system}.scaling`]: entry.scaling}, {keepId: true});
+        riderActivity = clone.system.activities.get(entry.activityId);
+      }
+      const rider = Module.getRider(riderActivity);
+
+      if (rider.consume === "uses") {
+        itemUpdates.push({_id: item.id, "system.uses.spent": (item.system.uses?.spent ?? 0) + 1});
+      } else if (rider.consume === "slot") {
+        const slot = Module.findSpellSlot(riderActivity);
+        if (slot) update[`system.spells.${slot}.value`] = actor.system.spells[slot].value - 1;
+      }
+
+      if (!rider.persistent) update[`flags.${Module.ID}.riders.-=${key}`] = null;
+      else if (game.combat?.started) {
+        update[`flags.${Module.ID}.riders.${key}.lastUsed`] = {
+          combatId: game.combat.id,
+          round: game.combat.round,
+          turn: game.combat.turn
+        };
+      }
+    }
+
+    if (itemUpdates.length) await actor.updateEmbeddedDocuments("Item", itemUpdates);
+    if (!foundry.utils.isEmpty(update)) await actor.update(update);
+  }
+
+  /**
+   * Validate the roll group configuration of an item.
+   * @param {Item5e} item                 The item the configuration belongs to, or would be imported into.
+   * @param {object} [config]             The configuration. Defaults to the item's own.
+   * @returns {{errors: string[], warnings: string[]}}    Invalid data, and stale data that still works.
+   */
+  static validateConfig(item, config = item.flags?.[Module.ID]?.config) {
+    const errors = [];
+    const warnings = [];
+    if (!config) return {errors, warnings};
+    const error = (key, data = {}) => errors.push(game.i18n.format(`ROLLGROUPS.Audit${key}`, data));
+    const warn = (key, data = {}) => warnings.push(game.i18n.format(`ROLLGROUPS.Audit${key}`, data));
+    const abilities = Module.adapter.abilities;
+
+    if (foundry.utils.getType(config) !== "Object") {
+      error("NotObject");
+      return {errors, warnings};
+    }
+
+    if (config.bladeCantrip && !((item.type === "spell") && (item.system.level === 0) && Module.getDamageActivities(item).length)) {
+      error("BladeCantrip");
+    }
+
+    // Legacy item-level data, which is moved onto activities by the migration.
+    if (("groups" in config) || Array.isArray(config.saves)) warn("Legacy");
+    const firstDamage = Module.getDamageActivities(item)[0];
+    if ("groups" in config) Module._validateGroups(firstDamage, config, {error, warn, name: item.name});
+    for (const ability of Array.isArray(config.saves) ? config.saves : []) {
+      if (!(ability in abilities)) error("Ability", {activity: item.name, ability});
+    }
+
+    for (const [id, data] of Object.entries(config.activities ?? {})) {
+      const activity = item.system.activities?.get(id);
+      if (!activity) {
+        error("Activity", {id});
+        continue;
+      }
+      if ("groups" in data) Module._validateGroups(activity, data, {error, warn, name: activity.name});
+      for (const save of data.saves ?? []) {
+        if (activity.type !== "save") error("SaveActivity", {activity: activity.name});
+        if (!(save.ability in abilities)) error("Ability", {activity: activity.name, ability: save.ability});
+        const link = save.link?.group ? item.system.activities.get(save.link.activity) : null;
+        if (save.link?.group && !(link && Module.findGroup(link, save.link.group))) {
+          error("SaveLink", {activity: activity.name, label: save.label || save.ability});
+        }
+      }
+    }
+    return {errors, warnings};
+  }
+
+  /**
+   * Validate the roll groups of one activity.
+   * @param {Activity} activity       The activity.
+   * @param {object} data             The stored configuration of the activity.
+   * @param {object} options
+   * @param {Function} options.error  Record invalid data.
+   * @param {Function} options.warn   Record stale data.
+   * @param {string} options.name     The name to use in messages.
+   */
+  static _validateGroups(activity, data, {error, warn, name}) {
+    if (!activity) {
+      error("NoDamage", {activity: name});
+      return;
+    }
+    const raw = Module.getRawDamageParts(activity);
+    const groups = Array.isArray(data.groups) ? data.groups : [];
+    if (!Array.isArray(data.groups)) error("Groups", {activity: name});
+
+    if (!Module.isCurrentConfig(data)) {
+      warn("Indices", {activity: name});
+      for (const group of groups) {
+        if ((group.parts ?? []).some(n => !Module.isNumeric(n) || (Number(n) < 0) || (Number(n) >= raw.length))) {
+          error("Parts", {activity: name, label: group.label ?? ""});
+        }
+      }
+      if (Module.isNumeric(data.versatile) && !groups[Number(data.versatile)]) error("Versatile", {activity: name});
+      return;
+    }
+
+    const nonBase = raw.filter(p => !p.base).length;
+    if (data.partIds.length !== nonBase) warn("Stale", {activity: name});
+    const valid = new Set(data.partIds.slice(0, nonBase));
+    if (raw[0]?.base) valid.add("base");
+
+    const ids = new Set();
+    for (const group of groups) {
+      const label = group.label ?? "";
+      if (ids.has(group.id)) error("Duplicate", {activity: name, label});
+      ids.add(group.id);
+      if ((group.parts ?? []).some(id => !valid.has(id))) error("Parts", {activity: name, label});
+      else if (!group.parts?.length) warn("Empty", {activity: name, label});
+      const {type, bonus, criticalBonus} = group.modifiers ?? {};
+      if (type && !(type in Module.adapter.allDamageTypes)) error("DamageType", {activity: name, label, type});
+      for (const formula of [bonus, criticalBonus]) {
+        if (formula && !Roll.validate(formula)) error("Formula", {activity: name, label, formula});
+      }
+    }
+    if (data.versatile && !ids.has(data.versatile)) error("Versatile", {activity: name});
+    if (data.offhand && !ids.has(data.offhand)) error("Offhand", {activity: name});
+    if (data.rider?.group && !ids.has(data.rider.group)) error("Rider", {activity: name});
+  }
+
+  /**
+   * Export the roll group configuration of items as a JSON file.
+   * @param {Item5e[]} items        The items.
+   * @param {string} name           The name of the file, without extension.
+   */
+  static exportConfig(items, name) {
+    const entries = items.filter(item => item.flags?.[Module.ID]?.config).map(item => ({
+      id: item.id,
+      name: item.name,
+      type: item.type,
+      config: item.flags[Module.ID].config
+    }));
+    if (!entries.length) {
+      ui.notifications.warn(game.i18n.localize("ROLLGROUPS.ExportEmpty"));
+      return;
+    }
+    const data = {module: Module.ID, schema: Module.MIGRATION_VERSION, system: Module.system, items: entries};
+    saveDataToFile(JSON.stringify(data, null, 2), "text/json", `${Module.ID}-${name.slugify()}.json`);
+  }
+
+  /**
+   * Validate the structure and version of exported data.
+   * @param {object} data           The parsed data.
+   * @returns {string|null}         The reason the data is invalid, if it is.
+   */
+  static validateExport(data) {
+    if ((foundry.utils.getType(data) !== "Object") || (data.module !== Module.ID) || !Array.isArray(data.items)) {
+      return game.i18n.localize("ROLLGROUPS.ImportInvalid");
+    }
+    if (!Number.isInteger(data.schema) || (data.schema < 1)) return game.i18n.localize("ROLLGROUPS.ImportInvalid");
+    if (data.schema > Module.MIGRATION_VERSION) {
+      return game.i18n.format("ROLLGROUPS.ImportNewer", {schema: data.schema, current: Module.MIGRATION_VERSION});
+    }
+    if (data.items.some(e => (typeof e?.name !== "string") || (foundry.utils.getType(e.config) !== "Object"))) {
+      return game.i18n.localize("ROLLGROUPS.ImportInvalid");
+    }
+    return null;
+  }
+
+  /**
+   * Import exported roll group configuration onto items. Entries are matched to items by id and name,
+   * or else by name and type. Entries that are invalid for their item are skipped.
+   * @param {Item5e[]} items        The items that can receive configuration.
+   * @param {string} json           The exported data.
+   * @returns {Promise<object|null>}    The imported items, and the skipped entries with the reasons.
+   */
+  static async importConfig(items, json) {
+    let data;
+    try {
+      data = JSON.parse(json);
+    } catch (err) {
+      ui.notifications.error(game.i18n.localize("ROLLGROUPS.ImportInvalid"));
+      return null;
+    }
+    const invalid = Module.validateExport(data);
+    if (invalid) {
+      ui.notifications.error(invalid);
+      return null;
+    }
+
+    const imported = [];
+    const skipped = [];
+    for (const entry of data.items) {
+      const item = items.find(i => (i.id === entry.id) && (i.name === entry.name))
+        ?? items.find(i => (i.name === entry.name) && (i.type === entry.type));
+      if (!item) {
+        skipped.push({name: entry.name, reasons: [game.i18n.localize("ROLLGROUPS.ImportNoMatch")]});
+        continue;
+      }
+      const {errors} = Module.validateConfig(item, entry.config);
+      if (errors.length) skipped.push({name: entry.name, reasons: errors});
+      else imported.push({item, config: entry.config});
+    }
+
+    // Replace the configuration wholesale in a single update, then bring older data up to date.
+    const path = `flags.${Module.ID}.config`;
+    await Module._batchUpdate(imported.map(({item, config}) => {
+      return [item, Module._replaceObject(path, item.flags[Module.ID]?.config, config)];
+    }));
+    if (data.schema < Module.MIGRATION_VERSION) {
+      await Module._batchUpdate(imported.map(({item}) => [item, Module.migrateItemFlags(item)]).filter(([, u]) => u));
+    }
+
+    ui.notifications.info(game.i18n.format("ROLLGROUPS.ImportDone", {count: imported.length, skipped: skipped.length}));
+    for (const {name, reasons} of skipped) console.warn(`${Module.ID} | Skipped '${name}':`, reasons.join(" "));
+    return {imported: imported.map(i => i.item), skipped};
+  }
+
+  /**
+   * Construct an update that replaces an object, deleting the keys of the current object that the replacement
+   * does not have.
+   * @param {string} path             The path of the object.
+   * @param {object} [current]        The current object.
+   * @param {object} replacement      The replacement.
+   * @returns {object}                The update.
+   */
+  static _replaceObject(path, current, replacement) {
+    const update = {[path]: replacement};
+    const isObject = value => foundry.utils.getType(value) === "Object";
+    const removeKeys = (prefix, from, to) => {
+      for (const [key, value] of Object.entries(from)) {
+        if (!(key in to)) update[`${prefix}.-=${key}`] = null;
+        else if (isObject(value) && isObject(to[key])) removeKeys(`${prefix}.${key}`, value, to[key]);
+      }
+    };
+    if (isObject(current)) removeKeys(path, current, replacement);
+    return update;
+  }
+
+  /**
+   * Update items, batched by the actor or compendium they are in.
+   * @param {Array<[Item5e, object]>} entries     The items and their updates.
+   * @returns {Promise}
+   */
+  static async _batchUpdate(entries) {
+    const batches = new Map();
+    for (const [item, update] of entries) {
+      const key = item.pack ?? item.parent?.uuid ?? "world";
+      if (!batches.has(key)) batches.set(key, {parent: item.parent, pack: item.pack, updates: []});
+      batches.get(key).updates.push({_id: item.id, ...update});
+    }
+    for (const {parent, pack, updates} of batches.values()) {
+      await Item.implementation.updateDocuments(updates, {parent, pack});
+    }
+  }
+
+  /**
+   * Prompt for a JSON file and import its roll group configuration.
+   * @param {Item5e[]} items        The items that can receive configuration.
+   * @returns {Promise<object|null>}
+   */
+  static async importConfigDialog(items) {
+    const file = await foundry.applications.api.DialogV2.prompt({
+      window: {title: game.i18n.localize("ROLLGROUPS.Import")},
+      content: `<p>${game.i18n.localize("ROLLGROUPS.ImportHint")}</p><input type="file" name="data" accept=".json">`,
+      ok: {callback: (event, button) => button.form.elements.data.files[0] ?? null}
+    });
+    if (!file) return null;
+    return Module.importConfig(items, await readTextFromFile(file));
+  }
+
+  /**
+   * Add export and import options to the context menus of items, actors, and compendiums.
+   * @param {string} directory        The directory: 'Item', 'Actor', or 'Compendium'.
+   * @param {object[]} options        The context menu options.
+   */
+  static addDirectoryOptions(directory, options) {
+    const getItems = async li => {
+      const element = Module.toElement(li);
+      switch (directory) {
+        case "Item": {
+          const item = game.items.get(element.dataset.documentId);
+          return item ? [item] : [];
+        }
+        case "Actor": return Array.from(game.actors.get(element.dataset.documentId)?.items ?? []);
+        default: return game.packs.get(element.dataset.pack)?.getDocuments() ?? [];
+      }
+    };
+    const getName = li => {
+      const element = Module.toElement(li);
+      if (directory === "Compendium") return game.packs.get(element.dataset.pack)?.title ?? "compendium";
+      return game.collections.get(directory)?.get(element.dataset.documentId)?.name ?? directory;
+    };
+    const canImport = li => {
+      const element = Module.toElement(li);
+      if (directory === "Compendium") {
+        const pack = game.packs.get(element.dataset.pack);
+        return (pack?.documentName === "Item") && !pack.locked && game.user.isGM;
+      }
+      return !!game.collections.get(directory)?.get(element.dataset.documentId)?.isOwner;
+    };
+    const isItemPack = li => (directory !== "Compendium") || (game.packs.get(Module.toElement(li).dataset.pack)?.documentName === "Item");
+
+    options.push({
+      name: "ROLLGROUPS.Export",
+      icon: "<i class='fa-solid fa-file-export'></i>",
+      condition: isItemPack,
+      callback: async li => Module.exportConfig(await getItems(li), getName(li))
+    }, {
+      name: "ROLLGROUPS.Import",
+      icon: "<i class='fa-solid fa-file-import'></i>",
+      condition: canImport,
+      callback: async li => Module.importConfigDialog(await getItems(li))
+    });
+  }
+
+  /**
+   * Retrieve an activity of an item for the public API.
+   * @param {Item5e|string} item        The item, or its uuid.
+   * @param {string} [activityId]       The id of the activity. Defaults to the first damaging activity.
+   * @returns {Activity|null}
+   */
+  static _apiActivity(item, activityId) {
+    if (typeof item === "string") item = foundry.utils.fromUuidSync(item);
+    if (!item?.system?.activities) return null;
+    return activityId ? (item.system.activities.get(activityId) ?? null) : (Module.getDamageActivities(item)[0] ?? null);
+  }
+
+  /**
+   * Retrieve the roll groups of an activity.
+   * @param {Item5e|string} item        The item, or its uuid.
+   * @param {string} [activityId]       The id of the activity. Defaults to the first damaging activity.
+   * @returns {object[]}                Copies of the roll groups.
+   */
+  static apiGetGroups(item, activityId) {
+    const activity = Module._apiActivity(item, activityId);
+    return foundry.utils.deepClone(Module.getActivityConfig(activity).groups ?? []);
+  }
+
+  /**
+   * Replace the roll groups of an activity. Groups without an id are given one, and parts that do not exist
+   * on the activity are removed.
+   * @param {Item5e|string} item        The item, or its uuid.
+   * @param {object[]} groups           The roll groups, each with a 'label' and the ids of its 'parts'.
+   * @param {string} [activityId]       The id of the activity. Defaults to the first damaging activity.
+   * @returns {Promise<Item5e|null>}
+   */
+  static async apiSetGroups(item, groups, activityId) {
+    const activity = Module._apiActivity(item, activityId);
+    if (!activity) return null;
+    const damageParts = Module.getDamageParts(activity);
+    const valid = new Set(damageParts.map(p => p.id));
+    const normalized = groups.map(({id, label = "", parts = [], ...rest}) => ({
+      ...rest,
+      id: id || foundry.utils.randomID(),
+      label,
+      parts: parts.filter(p => valid.has(p))
+    }));
+    const config = Module.getActivityConfig(activity);
+    const versatile = normalized.some(g => g.id === config.versatile) ? config.versatile : null;
+    const offhand = normalized.some(g => g.id === config.offhand) ? config.offhand : null;
+    return activity.item.update({
+      [`flags.${Module.ID}.config.activities.${activity.id}`]: {
+        ...config,
+        partIds: damageParts.filter(p => !p.base).map(p => p.id),
+        groups: normalized,
+        versatile,
+        offhand
+      }
+    });
+  }
+
+  /**
+   * Roll a roll group of an activity.
+   * @param {Item5e|string} item        The item, or its uuid.
+   * @param {string|number} group       The id or label of the group, its index, or 'all'.
+   * @param {object} [options]          Options passed on to `Item5e#rollDamageGroup`, including the 'activity' id.
+   * @returns {Promise<DamageRoll[]|null>}
+   */
+  static async apiRollGroup(item, group, options = {}) {
+    const activity = Module._apiActivity(item, options.activity);
+    if (!activity) return null;
+    let rollgroup = group;
+    if (group !== "all") {
+      const groups = Module.getActivityConfig(activity).groups ?? [];
+      rollgroup = (Module.findGroup(activity, group) ?? groups.find(g => g.label === group))?.id;
+      if (!rollgroup) return null;
+    }
+    return activity.item.rollDamageGroup({...options, activity: activity.id, rollgroup});
+  }
+
+  /**
+   * Build the html of the damage buttons of an activity, as they appear on its chat card.
+   * @param {Item5e|string} item        The item, or its uuid.
+   * @param {string} [activityId]       The id of the activity. Defaults to the first damaging activity.
+   * @returns {string|null}
+   */
+  static apiCreateButtons(item, activityId) {
+    return Module.createDamageButtons(Module._apiActivity(item, activityId));
+  }
+
+  /**
+   * Retrieve the world's roll group presets.
+   * @returns {object[]}
+   */
+  static getPresets() {
+    return foundry.utils.deepClone(game.settings.get(Module.ID, "presets") ?? []);
+  }
+
+  /**
+   * Store the world's roll group presets.
+   * @param {object[]} presets      The presets.
+   * @returns {Promise}
+   */
+  static setPresets(presets) {
+    return game.settings.set(Module.ID, "presets", presets);
+  }
+
+  /**
+   * Describe the damage parts of an activity by a pattern, so it can be applied to other activities. The base damage
+   * is 'base', and other formulas are described by their damage types.
+   * @param {Activity} activity     The activity whose groups to save.
+   * @param {string} name           The name of the preset.
+   * @returns {object}              The preset.
+   */
+  static createPreset(activity, name) {
+    const parts = Module.getDamageParts(activity);
+    const baseId = Module.getPresetBase(parts)?.id;
+    const groups = (Module.getActivityConfig(activity).groups ?? []).map(({id, parts: ids = [], ...rest}) => {
+      const selectors = new Set();
+      for (const part of parts) {
+        if (!ids.includes(part.id)) continue;
+        if (part.id === baseId) selectors.add("base");
+        else part.types.forEach(t => selectors.add(t));
+      }
+      return {...foundry.utils.deepClone(rest), selectors: [...selectors]};
+    });
+    return {id: foundry.utils.randomID(), name, groups, match: {name: "", types: []}};
+  }
+
+  /**
+   * The part that a preset's 'base' selector refers to: the base damage, or else the first formula.
+   * @param {object[]} parts        The damage parts of an activity.
+   * @returns {object|null}
+   */
+  static getPresetBase(parts) {
+    return parts.find(p => p.base) ?? parts[0] ?? null;
+  }
+
+  /**
+   * Resolve the groups of a preset against an activity's damage parts.
+   * @param {Activity} activity     The activity.
+   * @param {object} preset         The preset.
+   * @returns {object[]|null}       The roll groups, or null if the preset does not fit the activity.
+   */
+  static resolvePreset(activity, preset) {
+    const parts = Module.getDamageParts(activity).filter(p => p.formula);
+    const baseId = Module.getPresetBase(parts)?.id;
+    const groups = [];
+    for (const {selectors = [], ...rest} of preset.groups ?? []) {
+      const ids = parts.filter(p => {
+        if (p.id === baseId) return selectors.includes("base");
+        return selectors.includes("other") || p.types.some(t => selectors.includes(t));
+      }).map(p => p.id);
+      if (!ids.length) return null;
+      groups.push({...foundry.utils.deepClone(rest), id: foundry.utils.randomID(), parts: ids});
+    }
+    return groups.length ? groups : null;
+  }
+
+  /**
+   * Whether an activity matches the rules of a preset. The name rule is a case-insensitive part of the item's
+   * name, or a regular expression when written as '/expression/'. Every damage type of the rule must be present.
+   * @param {Activity} activity     The activity.
+   * @param {object} preset         The preset.
+   * @returns {boolean}
+   */
+  static presetMatches(activity, preset) {
+    const parts = Module.getDamageParts(activity).filter(p => p.formula);
+    if (parts.length < 2) return false;
+
+    const name = preset.match?.name?.trim();
+    if (name) {
+      const regex = name.match(/^\/(.+)\/$/);
+      try {
+        const matches = regex
+          ? new RegExp(regex[1], "i").test(activity.item.name)
+          : activity.item.name.toLowerCase().includes(name.toLowerCase());
+        if (!matches) return false;
+      } catch (err) {
+        return false;
+      }
+    }
+
+    const types = new Set(parts.flatMap(p => p.types));
+    return (preset.match?.types ?? []).every(t => types.has(t));
+  }
+
+  /**
+   * Determine which activities of the given items a preset would change.
+   * @param {object} preset           The preset.
+   * @param {Item5e[]} items          The items.
+   * @returns {object[]}              The item, activity, new groups, and whether anything changes.
+   */
+  static previewPreset(preset, items) {
+    const changes = [];
+    for (const item of items) {
+      for (const activity of Module.getDamageActivities(item)) {
+        if (!Module.presetMatches(activity, preset)) continue;
+        const groups = Module.resolvePreset(activity, preset);
+        if (!groups) continue;
+        const summary = g => g.map(({label, parts}) => ({label, parts}));
+        const current = Module.getActivityConfig(activity).groups ?? [];
+        const changed = !foundry.utils.objectsEqual(summary(current), summary(groups));
+        changes.push({item, activity, groups, changed});
+      }
+    }
+    return changes;
+  }
+
+  /**
+   * Apply a preset to the matching activities of the given items.
+   * @param {object} preset           The preset.
+   * @param {Item5e[]} items          The items.
+   * @returns {Promise<object[]>}     The changes that were made.
+   */
+  static async applyPreset(preset, items) {
+    const changes = Module.previewPreset(preset, items).filter(c => c.changed);
+    const batches = new Map();
+    for (const {item, activity, groups} of changes) {
+      const key = item.pack ?? item.parent?.uuid ?? "world";
+      if (!batches.has(key)) batches.set(key, {parent: item.parent, pack: item.pack, updates: new Map()});
+      const updates = batches.get(key).updates;
+      const update = updates.get(item.id) ?? {_id: item.id};
+      const config = Module.getActivityConfig(activity);
+      const partIds = Module.getDamageParts(activity).filter(p => !p.base).map(p => p.id);
+      const versatile = groups.some(g => g.id === config.versatile) ? config.versatile : null;
+      const offhand = groups.some(g => g.id === config.offhand) ? config.offhand : null;
+      update[`flags.${Module.ID}.config.activities.${activity.id}`] = {...config, partIds, groups, versatile, offhand};
+      updates.set(item.id, update);
+    }
+
+    for (const {parent, pack, updates} of batches.values()) {
+      await Item.implementation.updateDocuments([...updates.values()], {parent, pack});
+    }
+    return changes;
+  }
+
+  /**
+   * Helper function to pick one of the actor's equipped weapons that can be used with the cantrip.
+   */
+  static async pickEquippedWeapon(event) {
+    const picker = new Module.WeaponPicker(event);
+    const weps = picker.equippedWeapons;
+
+    // A GM is always shown the excluded weapons, so they can override the rules.
+    const override = game.user.isGM && (picker.excludedWeapons.length > 0);
+    if (!weps.length && !override) {
+      ui.notifications.warn(game.i18n.format("ROLLGROUPS.NoEquippedWeapons", {
+        actor: picker.actor?.name ?? "?",
+        name: picker.cantrip?.name ?? "?"
+      }));
+      return null;
+    }
+
+    if ((weps.length > 1) || override) return picker.render(true);
+
+    const activity = Module.WeaponPicker.getAttackActivity(weps[0]);
+    if ((event.currentTarget.dataset.action || "").endsWith("attack")) {
+      return activity?.rollAttack?.({event});
+    }
+
+    if ((weps[0].system.isVersatile ?? weps[0].isVersatile) || Module.createDamageButtons(activity)) {
+      return picker.render(true);
+    }
+
+    return picker._rollDamage(() => activity?.rollDamage?.({event, rolls: picker._scaleCantripDamage()}));
+  }
+}
+
+/* -------------------------
+   GroupConfig (UI dialog)
+   ------------------------- */
+class GroupConfig extends HandlebarsApplicationMixin(DocumentSheetV2) {
+  static DEFAULT_OPTIONS = {
+    tag: "form",
+    classes: ["rollgroups", "group-config"],
+    position: { height: "auto", width: 400 },
+    window: { icon: "fa-solid fa-burst", contentClasses: ["standard-form"] },
+    form: { submitOnChange: true, closeOnSubmit: false },
+    actions: {
+      addGroup: this._onAddGroup,
+      deleteGroup: this._onDeleteGroup,
+      duplicateGroup: this._onDuplicateGroup,
+      generateGroups: this._onGenerateGroups,
+      savePreset: this._onSavePreset,
+      showStatistics: this._onShowStatistics,
+      exportConfig: this._onExportConfig,
+      importConfig: this._onImportConfig
+    },
+    activityId: null
+  };
+
+  static PARTS = { form: { template: `modules/${Module.ID}/templates/group-config.hbs` } };
+
+  /** @override */
+  _initializeApplicationOptions(options) {
+    options = super._initializeApplicationOptions(options);
+    options.uniqueId = `${options.uniqueId}-${options.activityId}`;
+    return options;
+  }
+
+  /**
+   * The activity whose roll groups are being configured.
+   * @type {Activity|null}
+   */
+  get activity() {
+    return this.document.system.activities?.get(this.options.activityId) ?? null;
+  }
+
+  /**
+   * The path to the flag data of the activity.
+   * @type {string}
+   */
+  get flagPath() {
+    return `flags.${Module.ID}.config.activities.${this.options.activityId}`;
+  }
+
+  /** @override */
+  _getHeaderControls() {
+    const controls = super._getHeaderControls();
+    if (game.user.isGM) {
+      controls.push(
+        {icon: "fa-solid fa-swatchbook", label: "ROLLGROUPS.PresetSave", action: "savePreset"},
+        {icon: "fa-solid fa-chart-column", label: "ROLLGROUPS.Statistics", action: "showStatistics"}
+      );
+    }
+    controls.push(
+      {icon: "fa-solid fa-file-export", label: "ROLLGROUPS.Export", action: "exportConfig"},
+      {icon: "fa-solid fa-file-import", label: "ROLLGROUPS.Import", action: "importConfig"}
+    );
+    return controls;
+  }
+
+  get title() {
+    return game.i18n.format("ROLLGROUPS.GroupConfigName", {name: `${this.document.name}: ${this.activity?.name ?? ""}`});
+  }
+
+  async _prepareContext(options) {
+    const context = {};
+    const activity = this.activity;
+    const config = Module.getActivityConfig(activity);
+    const types = Module.adapter.allDamageTypes;
+    context.parts = Module.getDamageParts(activity).map(({id, formula, types: t}) => ({
+      formula,
+      label: t.map(type => types[type]?.label).filter(l => l).join(", ") || game.i18n.localize("None"),
+      id
+    }));
+
+    const groupsRaw = foundry.utils.deepClone(config.groups ?? []);
+    const groups = groupsRaw.map((group, i) => {
+      const partsSet = new Set(group.parts || []);
+      return {
+        id: group.id,
+        label: group.label ?? "",
+        idx: i,
+        prefix: `${this.flagPath}.groups.${i}`,
+        scaling: {mode: group.scaling?.mode ?? "none", number: group.scaling?.number ?? 1, term: group.scaling?.term ?? 0},
+        preview: Module.previewGroup(activity, group),
+        condition: {type: group.condition?.type ?? "none", value: group.condition?.value ?? "", display: group.condition?.display ?? "hide"},
+        consume: {type: group.consume?.type ?? "none", target: group.consume?.target ?? "", amount: group.consume?.amount ?? 1},
+        modifiers: Module.getGroupModifiers(group),
+        icon: group.icon ?? "",
+        rows: context.parts.map(p => ({
+          formula: p.formula,
+          label: p.label,
+          checked: partsSet.has(p.id),
+          name: `${this.flagPath}.groups.${i}.parts.${p.id}`
+        }))
+      };
+    });
+
+    context.groups = groups;
+    context.flagPath = this.flagPath;
+    context.fields = {
+      scalingMode: new foundry.data.fields.StringField({
+        label: "ROLLGROUPS.Scaling",
+        hint: "ROLLGROUPS.ScalingHint",
+        choices: {
+          none: "ROLLGROUPS.ScalingNone",
+          cantrip: "ROLLGROUPS.ScalingCantrip",
+          slot: "ROLLGROUPS.ScalingSlot"
+        }
+      }),
+      scalingNumber: new foundry.data.fields.NumberField({label: "ROLLGROUPS.ScalingNumber", integer: true, min: 0}),
+      conditionType: new foundry.data.fields.StringField({
+        label: "ROLLGROUPS.Condition",
+        hint: "ROLLGROUPS.ConditionHint",
+        choices: {
+          none: "ROLLGROUPS.ConditionNone",
+          expression: "ROLLGROUPS.ConditionExpression",
+          feature: "ROLLGROUPS.ConditionFeature",
+          effect: "ROLLGROUPS.ConditionEffect"
+        }
+      }),
+      consumeType: new foundry.data.fields.StringField({
+        label: "ROLLGROUPS.Consume",
+        hint: "ROLLGROUPS.ConsumeHint",
+        choices: {
+          none: "ROLLGROUPS.ConsumeNone",
+          itemUses: "ROLLGROUPS.ConsumeItemUses",
+          spellSlots: "ROLLGROUPS.ConsumeSpellSlots",
+          attribute: "ROLLGROUPS.ConsumeAttribute"
+        }
+      }),
+      icon: new foundry.data.fields.StringField({label: "ROLLGROUPS.GroupIcon", hint: "ROLLGROUPS.GroupIconHint"}),
+      modifierBonus: new foundry.data.fields.StringField({label: "ROLLGROUPS.ModifierBonus", hint: "ROLLGROUPS.ModifierBonusHint"}),
+      modifierType: new foundry.data.fields.StringField({
+        label: "ROLLGROUPS.ModifierType",
+        hint: "ROLLGROUPS.ModifierTypeHint",
+        blank: true,
+        choices: Object.fromEntries(Object.entries(types).map(([k, v]) => [k, v.label]))
+      }),
+      modifierCritical: new foundry.data.fields.StringField({
+        label: "ROLLGROUPS.ModifierCritical",
+        choices: {
+          normal: "ROLLGROUPS.ModifierCriticalNormal",
+          noDouble: "ROLLGROUPS.ModifierCriticalNoDouble",
+          maximize: "ROLLGROUPS.ModifierCriticalMaximize"
+        }
+      }),
+      modifierCriticalBonus: new foundry.data.fields.StringField({
+        label: "ROLLGROUPS.ModifierCriticalBonus",
+        hint: "ROLLGROUPS.ModifierCriticalBonusHint"
+      }),
+      consumeTarget: new foundry.data.fields.StringField({label: "ROLLGROUPS.ConsumeTarget", hint: "ROLLGROUPS.ConsumeTargetHint"}),
+      consumeAmount: new foundry.data.fields.NumberField({label: "ROLLGROUPS.ConsumeAmount", integer: true, min: 1}),
+      conditionValue: new foundry.data.fields.StringField({label: "ROLLGROUPS.ConditionValue", hint: "ROLLGROUPS.ConditionValueHint"}),
+      conditionDisplay: new foundry.data.fields.StringField({
+        label: "ROLLGROUPS.ConditionDisplay",
+        choices: {
+          hide: "ROLLGROUPS.ConditionDisplayHide",
+          disable: "ROLLGROUPS.ConditionDisplayDisable"
+        }
+      }),
+      scalingTerm: new foundry.data.fields.NumberField({
+        label: "ROLLGROUPS.ScalingTerm",
+        hint: "ROLLGROUPS.ScalingTermHint",
+        integer: true,
+        min: 0
+      })
+    };
+    context.hasDamage = context.parts.length > 0;
+
+    const isVersatile = this.document.system.isVersatile ?? this.document.isVersatile;
+    context.isVersatile = context.hasDamage && !!isVersatile && (activity?.type === "attack");
+    if (context.isVersatile) {
+      const choices = groups.reduce((acc, g) => {
+        acc[g.id] = g.label || game.i18n.localize("ROLLGROUPS.GroupPlaceholder");
+        return acc;
+      }, {});
+      const value = Module.findGroup(activity, config.versatile)?.id;
+      context.versatile = {
+        field: new foundry.data.fields.StringField({
+          label: "ROLLGROUPS.VersatileGroup",
+          hint: "ROLLGROUPS.VersatileTooltip",
+          choices
+        }),
+        value: value ?? "",
+        name: `${this.flagPath}.versatile`
+      };
+    }
+
+    context.isOffhand = context.hasDamage && (activity?.type === "attack") && (this.document.type === "weapon");
+    if (context.isOffhand) {
+      context.offhand = {
+        field: new foundry.data.fields.StringField({
+          label: "ROLLGROUPS.OffhandGroup",
+          hint: "ROLLGROUPS.OffhandTooltip",
+          choices: groups.reduce((acc, g) => {
+            acc[g.id] = g.label || game.i18n.localize("ROLLGROUPS.GroupPlaceholder");
+            return acc;
+          }, {})
+        }),
+        value: Module.findGroup(activity, config.offhand)?.id ?? "",
+        name: `${this.flagPath}.offhand`
+      };
+    }
+
+    context.rollAll = {
+      field: new foundry.data.fields.BooleanField({
+        label: "ROLLGROUPS.RollAllGroups",
+        hint: "ROLLGROUPS.RollAllTooltip"
+      }),
+      value: !!config.rollAll,
+      name: `${this.flagPath}.rollAll`
+    };
+
+    const rider = Module.getRider(activity);
+    context.rider = {
+      ...rider,
+      prefix: `${this.flagPath}.rider`,
+      fields: {
+        enabled: new foundry.data.fields.BooleanField({label: "ROLLGROUPS.RiderEnabled", hint: "ROLLGROUPS.RiderEnabledHint"}),
+        group: new foundry.data.fields.StringField({
+          label: "ROLLGROUPS.RiderGroup",
+          hint: "ROLLGROUPS.RiderGroupHint",
+          choices: groups.reduce((acc, g) => {
+            acc[g.id] = g.label || game.i18n.localize("ROLLGROUPS.GroupPlaceholder");
+            return acc;
+          }, {})
+        }),
+        persistent: new foundry.data.fields.BooleanField({label: "ROLLGROUPS.RiderPersistent", hint: "ROLLGROUPS.RiderPersistentHint"}),
+        oncePerTurn: new foundry.data.fields.BooleanField({label: "ROLLGROUPS.RiderOncePerTurn"}),
+        critOnly: new foundry.data.fields.BooleanField({label: "ROLLGROUPS.RiderCritOnly"}),
+        consume: new foundry.data.fields.StringField({
+          label: "ROLLGROUPS.RiderConsume",
+          choices: {
+            none: "ROLLGROUPS.RiderConsumeNone",
+            uses: "ROLLGROUPS.RiderConsumeUses",
+            slot: "ROLLGROUPS.RiderConsumeSlot"
+          }
+        })
+      }
+    };
+
+    context.isCantrip = context.hasDamage && (this.document.type === "spell") && (this.document.system.level === 0);
+    if (context.isCantrip) {
+      context.cantrip = {
+        field: new foundry.data.fields.BooleanField({
+          label: "ROLLGROUPS.BladeCantrip",
+          hint: "ROLLGROUPS.BladeCantripTooltip"
+        }),
+        value: !!this.document.getFlag(Module.ID, "config.bladeCantrip"),
+        name: `flags.${Module.ID}.config.bladeCantrip`
+      };
+    }
+
+    if (context.cantrip?.value || rider.enabled) context.weaponRules = this._prepareWeaponRules();
+
+    return context;
+  }
+
+  /**
+   * Prepare the fields for the rules of which weapons can be used with the item.
+   * @returns {object}
+   */
+  _prepareWeaponRules() {
+    const {BooleanField, SetField, StringField} = foundry.data.fields;
+    const properties = Module.adapter.weaponProperties;
+    return {
+      values: Module.getWeaponRules(this.document),
+      prefix: `flags.${Module.ID}.config.weaponRules`,
+      fields: {
+        melee: new BooleanField({label: "ROLLGROUPS.WeaponRuleMelee"}),
+        ranged: new BooleanField({label: "ROLLGROUPS.WeaponRuleRanged"}),
+        thrown: new BooleanField({label: "ROLLGROUPS.WeaponRuleThrown"}),
+        properties: new SetField(new StringField({choices: properties}), {
+          label: "ROLLGROUPS.WeaponRuleProperties",
+          hint: "ROLLGROUPS.WeaponRulePropertiesHint"
+        }),
+        proficient: new BooleanField({label: "ROLLGROUPS.WeaponRuleProficient"}),
+        natural: new BooleanField({label: "ROLLGROUPS.WeaponRuleNatural"}),
+        unequipped: new BooleanField({label: "ROLLGROUPS.WeaponRuleUnequipped", hint: "ROLLGROUPS.WeaponRuleUnequippedHint"})
+      }
+    };
+  }
+
+  _prepareSubmitData(event, target, formData) {
+    const submitData = super._prepareSubmitData(event, target, formData);
+    const path = `${this.flagPath}.groups`;
+    const raw = foundry.utils.getProperty(submitData, path) ?? {};
+    const valid = new Set(Module.getDamageParts(this.activity).map(p => p.id));
+    const groups = Object.values(raw).map(({id, label = "", parts = {}, ...rest}) => {
+      const p = [];
+      for (const [k, v] of Object.entries(parts || {})) if (v && valid.has(k)) p.push(k);
+      return {
+        ...rest,
+        id: id || foundry.utils.randomID(),
+        label: label || game.i18n.localize("ROLLGROUPS.GroupPlaceholder"),
+        parts: p
+      };
+    });
+    foundry.utils.setProperty(submitData, path, groups);
+    foundry.utils.setProperty(submitData, `${this.flagPath}.partIds`, this._partIds());
+
+    for (const key of ["versatile", "offhand"]) {
+      const value = foundry.utils.getProperty(submitData, `${this.flagPath}.${key}`);
+      if (value === undefined) continue;
+      foundry.utils.setProperty(submitData, `${this.flagPath}.${key}`, groups.some(g => g.id === value) ? value : null);
+    }
+
+    return foundry.utils.mergeObject(submitData, this._legacyCleanup());
+  }
+
+  /**
+   * When the item still has legacy item-level groups, these are removed once the activity's groups are stored.
+   * @returns {object}      The deletion update.
+   */
+  _legacyCleanup() {
+    const config = this.document.flags[Module.ID]?.config ?? {};
+    if (!("groups" in config)) return {};
+    const path = `flags.${Module.ID}.config`;
+    return {[`${path}.-=groups`]: null, [`${path}.-=versatile`]: null};
+  }
+
+  /**
+   * The stable identifiers of the activity's damage parts, excluding the base damage.
+   * @returns {string[]}
+   */
+  _partIds() {
+    return Module.getDamageParts(this.activity).filter(p => !p.base).map(p => p.id);
+  }
+
+  /**
+   * Store new roll groups for the activity.
+   * @param {object[]} groups     The roll groups.
+   * @returns {Promise<Item5e>}
+   */
+  _updateGroups(groups) {
+    const config = Module.getActivityConfig(this.activity);
+    const versatile = groups.some(g => g.id === config.versatile) ? config.versatile : null;
+    const offhand = groups.some(g => g.id === config.offhand) ? config.offhand : null;
+    return this.document.update({
+      [this.flagPath]: {...config, partIds: this._partIds(), groups, versatile, offhand},
+      ...this._legacyCleanup()
+    });
+  }
+
+  static _onAddGroup(event, target) {
+    const groups = foundry.utils.deepClone(Module.getActivityConfig(this.activity).groups || []);
+    groups.push({id: foundry.utils.randomID(), label: "", parts: []});
+    this._updateGroups(groups);
+  }
+
+  static _onDeleteGroup(event, target) {
+    const groups = foundry.utils.deepClone(Module.getActivityConfig(this.activity).groups || []);
+    const idx = Number(target.closest("[data-idx]")?.dataset?.idx);
+    groups.splice(idx, 1);
+    this._updateGroups(groups);
+  }
+
+  static _onDuplicateGroup(event, target) {
+    const groups = foundry.utils.deepClone(Module.getActivityConfig(this.activity).groups || []);
+    const idx = Number(target.closest("[data-idx]")?.dataset?.idx);
+    const group = groups[idx];
+    if (!group) return;
+    const label = game.i18n.format("ROLLGROUPS.GroupCopy", {label: group.label});
+    groups.splice(idx + 1, 0, {...foundry.utils.deepClone(group), id: foundry.utils.randomID(), label});
+    this._updateGroups(groups);
+  }
+
+  /**
+   * Add groups generated from the activity's formulas: all formulas, one group per damage type, and the base
+   * damage with each other formula. Groups with the same formulas as an existing group are not added.
+   */
+  static _onGenerateGroups(event, target) {
+    const groups = foundry.utils.deepClone(Module.getActivityConfig(this.activity).groups || []);
+    const parts = Module.getDamageParts(this.activity).filter(p => p.formula);
+    const types = Module.adapter.allDamageTypes;
+    const base = parts.find(p => p.base);
+
+    const generated = [{label: game.i18n.localize("ROLLGROUPS.GenerateAll"), parts: parts.map(p => p.id)}];
+    for (const type of new Set(parts.flatMap(p => p.types))) {
+      const ids = parts.filter(p => p.types.includes(type)).map(p => p.id);
+      generated.push({label: types[type]?.label ?? type, parts: ids});
+    }
+    if (base) {
+      for (const part of parts.filter(p => !p.base)) {
+        const label = part.types.map(t => types[t]?.label ?? t).join(", ") || part.formula;
+        generated.push({label: game.i18n.format("ROLLGROUPS.GenerateBasePlus", {label}), parts: ["base", part.id]});
+      }
+    }
+
+    const key = ids => [...ids].sort().join();
+    const existing = new Set(groups.map(g => key(g.parts ?? [])));
+    for (const group of generated) {
+      if (existing.has(key(group.parts))) continue;
+      existing.add(key(group.parts));
+      groups.push({...group, id: foundry.utils.randomID()});
+    }
+    this._updateGroups(groups);
+  }
+
+  /** @override */
+  _onRender(context, options) {
+    super._onRender(context, options);
+    new DragDrop({
+      dragSelector: ".drag-handle",
+      dropSelector: "fieldset[data-idx]",
+      permissions: {dragstart: () => this.isEditable, drop: () => this.isEditable},
+      callbacks: {dragstart: this._onDragStart.bind(this), drop: this._onDrop.bind(this)}
+    }).bind(this.element);
+  }
+
+  /**
+   * Start dragging a roll group, to reorder it or to drop it on the hotbar.
+   * @param {DragEvent} event     The drag event.
+   */
+  _onDragStart(event) {
+    const groupId = event.currentTarget.closest("[data-group-id]").dataset.groupId;
+    const data = Module.getGroupDragData(this.document, this.activity.id, groupId);
+    event.dataTransfer.setData("text/plain", JSON.stringify(data));
+  }
+
+  /**
+   * Move a dropped roll group to the position of the group it was dropped on. Groups are referenced by id,
+   * so moving them keeps the versatile group and other references intact.
+   * @param {DragEvent} event     The drop event.
+   */
+  _onDrop(event) {
+    const data = TextEditor.getDragEventData(event);
+    if ((data.type !== "RollGroup") || (data.uuid !== this.document.uuid) || (data.activityId !== this.activity.id)) return;
+    const groups = foundry.utils.deepClone(Module.getActivityConfig(this.activity).groups || []);
+    const from = groups.findIndex(g => g.id === data.groupId);
+    const to = Number(event.target.closest("[data-idx]")?.dataset?.idx);
+    if ((from < 0) || !Number.isInteger(to) || (to === from)) return;
+    const [group] = groups.splice(from, 1);
+    groups.splice(to, 0, group);
+    this._updateGroups(groups);
+  }
+
+  static _onExportConfig(event, target) {
+    Module.exportConfig([this.document], this.document.name);
+  }
+
+  static _onShowStatistics(event, target) {
+    const id = `${Module.ID}-statistics-${this.document.uuid.replaceAll(".", "-")}`;
+    new GroupStatistics({id, item: this.document}).render(true);
+  }
+
+  static _onImportConfig(event, target) {
+    Module.importConfigDialog([this.document]);
+  }
+
+  static async _onSavePreset(event, target) {
+    if (!Module.getActivityConfig(this.activity).groups?.length) return;
+    const name = await foundry.applications.api.DialogV2.prompt({
+      window: {title: game.i18n.localize("ROLLGROUPS.PresetSave")},
+      content: `<input type="text" name="name" value="${Handlebars.escapeExpression(this.document.name)}" autofocus>`,
+      ok: {callback: (event, button) => button.form.elements.name.value}
+    });
+    if (!name) return;
+    await Module.setPresets([...Module.getPresets(), Module.createPreset(this.activity, name)]);
+    ui.notifications.info(game.i18n.format("ROLLGROUPS.PresetSaved", {name}));
+  }
+}
+
+/* -------------------------
+   SaveConfig (UI dialog)
+   ------------------------- */
+class SaveConfig extends HandlebarsApplicationMixin(DocumentSheetV2) {
+  static DEFAULT_OPTIONS = {
+    tag: "form",
+    classes: ["rollgroups", "save-config"],
+    position: {height: "auto", width: 480},
+    window: { icon: "fa-solid fa-person-falling-burst", contentClasses: ["standard-form"] },
+    form: { submitOnChange: true, closeOnSubmit: false },
+    actions: {addSave: this._onAddSave, deleteSave: this._onDeleteSave},
+    activityId: null
+  };
 
-    html.querySelectorAll("[data-action^='rollgroup-bladecantrip']").forEach(n => {
-      n.addEventListener("click", Module.pickEquippedWeapon);
-    });
+  static PARTS = {form: {template: `modules/${Module.ID}/templates/save-config.hbs`}};
 
-    // Also ensure save buttons added by this module work
-    html.querySelectorAll("[data-action='save'][data-dc]").forEach(n => {
-      n.addEventListener("click", async ev => {
-        const ability = n.dataset.ability;
-        const dc = Number(n.dataset.dc);
-        // send a saving throw roll for all targeted tokens (simple default behaviour)
-        const speaker = ChatMessage.getSpeaker();
-        const actor = fromUuidSync(n.dataset.actorUuid) ?? game.actors.get(speaker.actor);
-        if (actor) {
-          const roll = await actor.rollAbilityTest(ability, { chatMessage: true, fastForward: true, flavor: game.i18n.format(`${Module.system.toUpperCase()}.SavingThrowDC`, { dc, ability: CONFIG[Module.system.toUpperCase()].abilities[ability].label }) });
-          return roll;
-        }
-      });
-    });
+  /** @override */
+  _initializeApplicationOptions(options) {
+    options = super._initializeApplicationOptions(options);
+    options.uniqueId = `${options.uniqueId}-${options.activityId}`;
+    return options;
   }
 
   /**
-   * Make a damage roll using one of the buttons created in the chatlog.
-   * @param {PointerEvent} event              The initiating click event.
-   * @returns {Promise<DamageRoll|void>}      The damage roll.
+   * The save activity whose extra saving throws are being configured.
+   * @type {Activity|null}
    */
-  static rollDamageFromChat(event) {
-    const item = Module.findItem(event);
-    if (!item) return;
-
-    // The array index of the group to roll, and the parts that belong to it.
-    const idx = event.currentTarget.dataset.group;
-    const parts = Module.constructParts(item, Number.isFinite(Number(idx)) ? Number(idx) : idx);
-    if (!parts) return;
-
-    // A clone of the item with different damage parts.
-    const clone = Module.constructClone(item, parts);
-
-    // Additional configurations for the damage roll.
-    const spellLevel = event.currentTarget.closest("[data-spell-level]")?.dataset.spellLevel;
-
-    // Return the damage roll.
-    return clone.rollDamage({
-      event: event,
-      spellLevel: Module.isNumeric(spellLevel) ? Number(spellLevel) : item.system.level,
-      versatile: (event.currentTarget.dataset.action || "").endsWith("versatile")
-    });
+  get activity() {
+    return this.document.system.activities?.get(this.options.activityId) ?? null;
   }
 
   /**
-   * Roll a damage group from an item. Added to the item class.
+   * The path to the flag data of the activity.
+   * @type {string}
    */
-  static async rollDamageGroup({
-    rollgroup = 0,
-    critical = false,
-    event = null,
-    spellLevel = null,
-    versatile = false,
-    options = {}
-  } = {}) {
-    const group = this.flags?.[Module.ID]?.config?.groups ?? [];
-    if (!group.length) {
-      return this.rollDamage?.({ critical, event, spellLevel, versatile, options });
-    }
+  get flagPath() {
+    return `flags.${Module.ID}.config.activities.${this.options.activityId}`;
+  }
 
-    const indices = group[rollgroup]?.parts;
-    if (!indices?.length) {
-      ui.notifications.error(game.i18n.localize("ROLLGROUPS.RollGroupEmpty"));
-      return null;
+  get title() {
+    return game.i18n.format("ROLLGROUPS.SaveConfigName", {name: `${this.document.name}: ${this.activity?.name ?? ""}`});
+  }
+
+  async _prepareContext(options) {
+    const {StringField, NumberField} = foundry.data.fields;
+    const abilities = Object.fromEntries(Object.entries(Module.adapter.abilities).map(([k, v]) => [k, v.label]));
+
+    const links = {};
+    for (const activity of Module.getDamageActivities(this.document)) {
+      for (const group of Module.getActivityConfig(activity).groups ?? []) {
+        links[`${activity.id}.${group.id}`] = `${activity.name}: ${group.label}`;
+      }
     }
 
-    const parts = Module.constructParts(this, rollgroup);
-    if (!parts) return null;
-    const clone = Module.constructClone(this, parts);
+    const fields = {
+      ability: new StringField({label: "ROLLGROUPS.SaveAbility", choices: abilities}),
+      label: new StringField({label: "ROLLGROUPS.SaveLabel"}),
+      mode: new StringField({
+        label: "ROLLGROUPS.SaveDCMode",
+        choices: {
+          activity: "ROLLGROUPS.SaveDCModeActivity",
+          fixed: "ROLLGROUPS.SaveDCModeFixed",
+          formula: "ROLLGROUPS.SaveDCModeFormula"
+        }
+      }),
+      value: new NumberField({label: "ROLLGROUPS.SaveDCValue", integer: true, min: 0}),
+      formula: new StringField({label: "ROLLGROUPS.SaveDCFormula"}),
+      link: new StringField({label: "ROLLGROUPS.SaveLink", hint: "ROLLGROUPS.SaveLinkHint", choices: links}),
+      onSuccess: new StringField({
+        label: "ROLLGROUPS.SaveOnSuccess",
+        choices: {
+          none: "ROLLGROUPS.SaveOnSuccessNone",
+          half: "ROLLGROUPS.SaveOnSuccessHalf",
+          full: "ROLLGROUPS.SaveOnSuccessFull"
+        }
+      })
+    };
+
+    const saves = Module.getSaves(this.activity).map((save, i) => ({
+      ...save,
+      idx: i,
+      dcValue: Module.getSaveDC(this.activity, save),
+      linkValue: save.link.group ? `${save.link.activity}.${save.link.group}` : "",
+      prefix: `${this.flagPath}.saves.${i}`
+    }));
 
-    return clone.rollDamage?.({ critical, event, spellLevel, versatile, options });
+    return {saves, fields, flagPath: this.flagPath, rootId: this.id};
   }
 
-  /**
-   * Construct a clone of an item using a subset of its damage parts.
-   */
-  static constructClone(item, parts) {
-    const clone = item.clone({ "system.damage.parts": parts }, { keepId: true });
-    // Prepare the cloned data so rollDamage can use it
-    if (typeof clone.prepareData === "function") clone.prepareData();
-    return clone;
+  _prepareSubmitData(event, form, formData) {
+    const submitData = super._prepareSubmitData(event, form, formData);
+    const path = `${this.flagPath}.saves`;
+    const raw = foundry.utils.getProperty(submitData, path) ?? {};
+    const saves = Object.values(raw).map(save => {
+      const [activity = "", group = ""] = (save.link || "").split(".");
+      return Module.normalizeSave({...save, link: {activity, group}});
+    });
+    foundry.utils.setProperty(submitData, path, saves);
+    return foundry.utils.mergeObject(submitData, this._legacyCleanup());
   }
 
   /**
-   * Construct the damage parts for the clone, given an integer denoting the rollgroup.
+   * When the item still has a legacy item-level ability list, it is removed once the activity's saves are stored.
+   * @returns {object}      The deletion update.
    */
-  static constructParts(item, idx) {
-    const raw = item.flags?.[Module.ID]?.config?.groups?.[idx]?.parts ?? [];
-    const indices = new Set((raw || []).map(n => Number(n)));
-    const group = (item.system?.damage?.parts ?? []).reduce((acc, part, i) => {
-      if (indices.has(i)) acc.push(part);
-      return acc;
-    }, []);
-    if (!group.length) {
-      ui.notifications.error(game.i18n.localize("ROLLGROUPS.RollGroupEmpty"));
-      return false;
-    }
-    return group;
+  _legacyCleanup() {
+    const config = this.document.flags[Module.ID]?.config ?? {};
+    if (!Array.isArray(config.saves)) return {};
+    return {[`flags.${Module.ID}.config.-=saves`]: null};
   }
 
   /**
-   * Find or create an item. If the message has embedded itemData, prefer that.
+   * Store new extra saving throws for the activity.
+   * @param {object[]} saves      The saving throw configurations.
+   * @returns {Promise<Item5e>}
    */
-  static findItem(event) {
-    const button = event.currentTarget;
-    const messageId = button.closest("[data-message-id]")?.dataset?.messageId;
-    const message = messageId ? game.messages.get(messageId) : null;
-    const itemData = message?.flags?.[Module.system]?.itemData;
+  _updateSaves(saves) {
+    return this.document.update({[`${this.flagPath}.saves`]: saves, ...this._legacyCleanup()});
+  }
 
-    // Case 1: Embedded item data in the message, construct a temporary item.
-    if (itemData) {
-      const actor = foundry.utils.fromUuidSync(button.dataset.actorUuid);
-      if (!actor) {
-        ui.notifications.error(game.i18n.localize("ROLLGROUPS.ItemOwnerMissing"));
-        return null;
-      }
-      const item = new Item.implementation(itemData, { parent: actor });
-      if (typeof item.prepareData === "function") item.prepareData();
-      return item;
-    }
+  static _onAddSave(event, target) {
+    const saves = Module.getSaves(this.activity);
+    saves.push(Module.normalizeSave({ability: Object.keys(Module.adapter.abilities)[0]}));
+    this._updateSaves(saves);
+  }
 
-    // Case 2: No item data, find the existing item by uuid.
-    else {
-      return foundry.utils.fromUuidSync(button.dataset.itemUuid);
-    }
+  static _onDeleteSave(event, target) {
+    const saves = Module.getSaves(this.activity);
+    const idx = Number(target.closest("[data-idx]")?.dataset?.idx);
+    saves.splice(idx, 1);
+    this._updateSaves(saves);
   }
+}
 
-  /**
-   * Adjust the flavor of damage rolls depending on the damage or healing types being used.
-   * Hooks on 'preRollDamage'.
-   */
-  static variantDamageLabels(item, config) {
-    if (!item) return;
-    try {
-      const labels = new Set((item.getDerivedDamageLabel?.() ?? []).map(i => i.damageType));
-      const isTemp = (labels.size === 1) && labels.has("temphp");
-      const system = Module.system.toUpperCase();
-      const string = [...labels].every(t => t in (CONFIG[system]?.healingTypes ?? {})) ? `${system}.Healing` : `${system}.DamageRoll`;
-      const actionFlavor = game.i18n.localize(string);
-      const title = `${item.name} - ${actionFlavor}`;
+/* -------------------------
+   DisplaySettings (UI dialog)
+   ------------------------- */
+class DisplaySettings extends HandlebarsApplicationMixin(ApplicationV2) {
+  static DEFAULT_OPTIONS = {
+    id: "rollgroups-display",
+    tag: "form",
+    classes: ["rollgroups", "display-settings"],
+    position: {height: "auto", width: 480},
+    window: {icon: "fa-solid fa-sliders", title: "ROLLGROUPS.SettingsDisplay", contentClasses: ["standard-form"]},
+    form: {handler: this._onSubmitForm, submitOnChange: true, closeOnSubmit: false}
+  };
 
-      let flavor = title;
-      if (isTemp) flavor = `${title} (${game.i18n.localize(`${system}.Temp`)})`;
-      else if ((item.labels?.damageTypes?.length ?? 0) > 0) flavor = `${title} (${item.labels.damageTypes})`;
-      foundry.utils.mergeObject(config, { title, flavor });
-    } catch (err) {
-      console.error(`${Module.ID} | variantDamageLabels`, err);
-    }
-  }
+  static PARTS = {form: {template: `modules/${Module.ID}/templates/display-settings.hbs`}};
 
   /**
-   * Helper function to pick one of the actor's equipped melee weapons.
+   * The settings in the menu. World settings can only be changed by a GM.
+   * @type {string[]}
    */
-  static async pickEquippedWeapon(event) {
-    const picker = new WeaponPicker(event);
-    const weps = picker.equippedWeapons;
-
-    if (!weps.length) {
-      ui.notifications.warn(game.i18n.format("ROLLGROUPS.NoEquippedWeapons", { actor: picker.actor?.name ?? "?" }));
-      return null;
-    }
+  static SETTINGS = ["keepDamageButton", "labelFormat", "bladeCantripButtons", "playerSaves", "buttonLayout", "rollMode"];
 
-    if (weps.length > 1) return picker.render(true);
+  async _prepareContext(options) {
+    const {BooleanField, StringField} = foundry.data.fields;
+    const fields = {
+      keepDamageButton: new BooleanField({label: "ROLLGROUPS.SettingKeepDamage", hint: "ROLLGROUPS.SettingKeepDamageHint"}),
+      labelFormat: new StringField({label: "ROLLGROUPS.SettingLabelFormat", hint: "ROLLGROUPS.SettingLabelFormatHint"}),
+      bladeCantripButtons: new BooleanField({label: "ROLLGROUPS.SettingBladeCantrip", hint: "ROLLGROUPS.SettingBladeCantripHint"}),
+      playerSaves: new BooleanField({label: "ROLLGROUPS.SettingPlayerSaves", hint: "ROLLGROUPS.SettingPlayerSavesHint"}),
+      buttonLayout: new StringField({
+        label: "ROLLGROUPS.SettingLayout",
+        hint: "ROLLGROUPS.SettingLayoutHint",
+        choices: game.settings.settings.get(`${Module.ID}.buttonLayout`).choices
+      }),
+      rollMode: new StringField({
+        label: "ROLLGROUPS.SettingRollMode",
+        hint: "ROLLGROUPS.SettingRollModeHint",
+        choices: game.settings.settings.get(`${Module.ID}.rollMode`).choices
+      })
+    };
 
-    if ((event.currentTarget.dataset.action || "").endsWith("attack")) {
-      return weps[0].rollAttack?.({ event });
-    }
+    const settings = DisplaySettings.SETTINGS.map(key => {
+      const world = game.settings.settings.get(`${Module.ID}.${key}`).scope === "world";
+      return {key, field: fields[key], value: game.settings.get(Module.ID, key), disabled: world && !game.user.isGM, world};
+    });
+    return {
+      world: settings.filter(s => s.world),
+      client: settings.filter(s => !s.world)
+    };
+  }
 
-    if (weps[0].isVersatile || Module.createDamageButtons(weps[0])) {
-      return picker.render(true);
+  /**
+   * Save the settings.
+   * @param {SubmitEvent} event               The submit event.
+   * @param {HTMLFormElement} form            The form.
+   * @param {FormDataExtended} formData       The form data.
+   */
+  static async _onSubmitForm(event, form, formData) {
+    for (const [key, value] of Object.entries(formData.object)) {
+      if (!DisplaySettings.SETTINGS.includes(key)) continue;
+      const setting = game.settings.settings.get(`${Module.ID}.${key}`);
+      if ((setting.scope === "world") && !game.user.isGM) continue;
+      if (game.settings.get(Module.ID, key) !== value) await game.settings.set(Module.ID, key, value);
     }
-
-    return weps[0].rollDamage?.({ event, options: { rollConfigs: picker._scaleCantripDamage() } });
   }
 }
 
 /* -------------------------
-   GroupConfig (UI dialog)
+   PresetManager (UI dialog)
    ------------------------- */
-class GroupConfig extends HandlebarsApplicationMixin(DocumentSheetV2) {
+class PresetManager extends HandlebarsApplicationMixin(ApplicationV2) {
   static DEFAULT_OPTIONS = {
+    id: "rollgroups-presets",
     tag: "form",
-    classes: ["rollgroups", "group-config"],
-    position: { height: "auto", width: 400 },
-    window: { icon: "fa-solid fa-burst", contentClasses: ["standard-form"] },
-    form: { submitOnChange: true, closeOnSubmit: false },
-    actions: { addGroup: this._onAddGroup, deleteGroup: this._onDeleteGroup }
+    classes: ["rollgroups", "preset-manager"],
+    position: {height: "auto", width: 560},
+    window: {icon: "fa-solid fa-swatchbook", title: "ROLLGROUPS.Presets", contentClasses: ["standard-form"]},
+    form: {handler: this._onSubmitForm, submitOnChange: true, closeOnSubmit: false},
+    actions: {
+      addPreset: this._onAddPreset,
+      deletePreset: this._onDeletePreset,
+      addPresetGroup: this._onAddPresetGroup,
+      deletePresetGroup: this._onDeletePresetGroup,
+      removeSelection: this._onRemoveSelection,
+      preview: this._onPreview,
+      apply: this._onApply
+    }
   };
 
-  static PARTS = { form: { template: `modules/${Module.ID}/templates/group-config.hbs` } };
+  static PARTS = {form: {template: `modules/${Module.ID}/templates/preset-manager.hbs`}};
 
-  get title() {
-    return game.i18n.format("ROLLGROUPS.GroupConfigName", { name: this.document.name });
-  }
+  /**
+   * The uuids of the items dropped onto the manager.
+   * @type {Set<string>}
+   */
+  selection = new Set();
+
+  /**
+   * Which preset to apply, and to what.
+   * @type {object}
+   */
+  target = {preset: "", type: "selection", actor: "", pack: ""};
+
+  /**
+   * The changes found by the last dry run.
+   * @type {object[]|null}
+   */
+  preview = null;
 
   async _prepareContext(options) {
-    const context = {};
-    const types = foundry.utils.mergeObject(CONFIG.DND5E.damageTypes, CONFIG.DND5E.healingTypes, { inplace: false });
-    context.parts = (this.document.system?.damage?.parts ?? []).map(([formula, type], idx) => ({
-      formula,
-      label: types[type]?.label || game.i18n.localize("None"),
-      idx
+    const {SetField, StringField} = foundry.data.fields;
+    const damageTypes = Module.adapter.allDamageTypes;
+    const typeChoices = Object.fromEntries(Object.entries(damageTypes).map(([k, v]) => [k, v.label]));
+    const presets = Module.getPresets();
+
+    const fields = {
+      matchName: new StringField({label: "ROLLGROUPS.PresetMatchName", hint: "ROLLGROUPS.PresetMatchNameHint"}),
+      matchTypes: new SetField(new StringField({choices: typeChoices}), {
+        label: "ROLLGROUPS.PresetMatchTypes",
+        hint: "ROLLGROUPS.PresetMatchTypesHint"
+      }),
+      selectors: new SetField(new StringField({
+        choices: {
+          base: game.i18n.localize("ROLLGROUPS.PresetSelectorBase"),
+          other: game.i18n.localize("ROLLGROUPS.PresetSelectorOther"),
+          ...typeChoices
+        }
+      }), {label: "ROLLGROUPS.PresetSelectors", hint: "ROLLGROUPS.PresetSelectorsHint"}),
+      preset: new StringField({
+        label: "ROLLGROUPS.Preset",
+        choices: Object.fromEntries(presets.map(p => [p.id, p.name]))
+      }),
+      type: new StringField({
+        label: "ROLLGROUPS.PresetTarget",
+        choices: {
+          selection: "ROLLGROUPS.PresetTargetSelection",
+          actor: "ROLLGROUPS.PresetTargetActor",
+          compendium: "ROLLGROUPS.PresetTargetCompendium"
+        }
+      }),
+      actor: new StringField({
+        label: "DOCUMENT.Actor",
+        choices: Object.fromEntries(game.actors.map(a => [a.id, a.name]))
+      }),
+      pack: new StringField({
+        label: "PACKAGE.TagCompendium",
+        choices: Object.fromEntries(game.packs.filter(p => p.documentName === "Item").map(p => [p.collection, p.title]))
+      })
+    };
+
+    const selection = await Promise.all([...this.selection].map(async uuid => {
+      const item = await fromUuid(uuid);
+      return {uuid, name: item?.name ?? uuid, img: item?.img};
     }));
 
-    const groupsRaw = foundry.utils.deepClone(this.document.getFlag("rollgroups", "config.groups") ?? []);
-    const groups = groupsRaw.map((group, i) => {
-      const partsSet = new Set((group.parts || []).map(n => Number(n)));
-      return {
-        label: group.label ?? "",
-        idx: i,
-        rows: context.parts.map(p => ({
-          formula: p.formula,
-          label: p.label,
-          checked: partsSet.has(p.idx),
-          name: `flags.rollgroups.config.groups.${i}.parts.${p.idx}`
-        }))
-      };
-    });
+    return {
+      fields,
+      presets: presets.map((preset, i) => ({
+        ...preset,
+        prefix: `presets.${i}`,
+        groups: (preset.groups ?? []).map((group, j) => ({...group, idx: j, prefix: `presets.${i}.groups.${j}`}))
+      })),
+      target: this.target,
+      selection,
+      preview: this.preview?.map(({item, activity, groups, changed}) => ({
+        name: item.name,
+        activity: activity.name,
+        groups: groups.map(g => g.label).join(", "),
+        changed
+      })) ?? null,
+      changes: this.preview?.filter(c => c.changed).length ?? 0
+    };
+  }
 
-    context.groups = groups;
-    context.hasDamage = !!this.document.hasDamage;
+  /** @override */
+  _onFirstRender(context, options) {
+    super._onFirstRender(context, options);
+    this.element.addEventListener("dragover", event => event.preventDefault());
+    this.element.addEventListener("drop", this._onDrop.bind(this));
+  }
 
-    context.isVersatile = context.hasDamage && !!this.document.isVersatile;
-    if (context.isVersatile) {
-      const choices = groups.map(g => g.label || game.i18n.localize("ROLLGROUPS.GroupPlaceholder"));
-      const value = this.document.getFlag("rollgroups", "config.versatile");
-      context.versatile = {
-        value: Number.isFinite(Number(value)) && value < choices.length ? Number(value) : null,
-        name: "flags.rollgroups.config.versatile",
-        label: "ROLLGROUPS.VersatileGroup",
-        hint: "ROLLGROUPS.VersatileTooltip",
-        choices
-      };
-    }
+  /**
+   * Add dropped items to the selection.
+   * @param {DragEvent} event     The drop event.
+   */
+  _onDrop(event) {
+    const data = TextEditor.getDragEventData(event);
+    if ((data.type !== "Item") || !data.uuid) return;
+    this.selection.add(data.uuid);
+    this.target.type = "selection";
+    this.preview = null;
+    this.render();
+  }
 
-    context.isCantrip = context.hasDamage && (this.document.type === "spell") && (this.document.system.level === 0);
-    if (context.isCantrip) {
-      context.cantrip = {
-        value: !!this.document.getFlag("rollgroups", "config.bladeCantrip"),
-        name: "flags.rollgroups.config.bladeCantrip",
-        label: "ROLLGROUPS.BladeCantrip",
-        hint: "ROLLGROUPS.BladeCantripTooltip"
-      };
+  /**
+   * Retrieve the items the preset would be applied to.
+   * @returns {Promise<Item5e[]>}
+   */
+  async _getTargetItems() {
+    switch (this.target.type) {
+      case "actor": return Array.from(game.actors.get(this.target.actor)?.items ?? []);
+      case "compendium": {
+        const pack = game.packs.get(this.target.pack);
+        return pack ? pack.getDocuments() : [];
+      }
+      default: {
+        const items = await Promise.all([...this.selection].map(uuid => fromUuid(uuid)));
+        return items.filter(item => item instanceof Item);
+      }
     }
+  }
 
-    return context;
+  /**
+   * The preset that is selected to be applied.
+   * @type {object|null}
+   */
+  get preset() {
+    return Module.getPresets().find(p => p.id === this.target.preset) ?? null;
   }
 
-  _prepareSubmitData(event, target, formData) {
-    const submitData = super._prepareSubmitData(event, target, formData);
-    const path = "flags.rollgroups.config.groups";
-    const raw = foundry.utils.getProperty(submitData, path) ?? {};
-    const groups = Object.values(raw).map(({ label = "", parts = {} }) => {
-      const p = [];
-      for (const [k, v] of Object.entries(parts || {})) if (v) p.push(Number(k));
-      return { label: label || game.i18n.localize("ROLLGROUPS.GroupPlaceholder"), parts: p };
+  static async _onSubmitForm(event, form, formData) {
+    const data = foundry.utils.expandObject(formData.object);
+    Object.assign(this.target, data.target ?? {});
+    this.preview = null;
+
+    const presets = Module.getPresets();
+    for (const entry of Object.values(data.presets ?? {})) {
+      const preset = presets.find(p => p.id === entry.id);
+      if (!preset) continue;
+      preset.name = entry.name ?? preset.name;
+      preset.match = {name: entry.match?.name ?? "", types: Array.from(entry.match?.types ?? [])};
+      for (const [j, group] of Object.entries(entry.groups ?? {})) {
+        if (!preset.groups[j]) continue;
+        preset.groups[j].label = group.label ?? "";
+        preset.groups[j].selectors = Array.from(group.selectors ?? []);
+      }
+    }
+    await Module.setPresets(presets);
+    this.render();
+  }
+
+  static async _onAddPreset(event, target) {
+    const presets = Module.getPresets();
+    presets.push({
+      id: foundry.utils.randomID(),
+      name: game.i18n.localize("ROLLGROUPS.PresetNew"),
+      groups: [{label: "", selectors: ["base"]}],
+      match: {name: "", types: []}
     });
-    foundry.utils.setProperty(submitData, path, groups);
-    return submitData;
+    await Module.setPresets(presets);
+    this.render();
   }
 
-  static _onAddGroup(event, target) {
-    const groups = foundry.utils.deepClone(this.document.getFlag("rollgroups", "config.groups") || []);
-    groups.push({ label: "", parts: [] });
-    this.document.setFlag("rollgroups", "config.groups", groups);
+  static async _onDeletePreset(event, target) {
+    const id = target.closest("[data-preset-id]").dataset.presetId;
+    await Module.setPresets(Module.getPresets().filter(p => p.id !== id));
+    this.render();
   }
 
-  static _onDeleteGroup(event, target) {
-    const groups = foundry.utils.deepClone(this.document.getFlag("rollgroups", "config.groups") || []);
-    const idx = Number(target.closest("[data-idx]")?.dataset?.idx);
-    groups.splice(idx, 1);
-    this.document.setFlag("rollgroups", "config.groups", groups);
+  static async _onAddPresetGroup(event, target) {
+    const id = target.closest("[data-preset-id]").dataset.presetId;
+    const presets = Module.getPresets();
+    presets.find(p => p.id === id)?.groups.push({label: "", selectors: []});
+    await Module.setPresets(presets);
+    this.render();
+  }
+
+  static async _onDeletePresetGroup(event, target) {
+    const id = target.closest("[data-preset-id]").dataset.presetId;
+    const idx = Number(target.closest("[data-idx]").dataset.idx);
+    const presets = Module.getPresets();
+    presets.find(p => p.id === id)?.groups.splice(idx, 1);
+    await Module.setPresets(presets);
+    this.render();
+  }
+
+  static _onRemoveSelection(event, target) {
+    this.selection.delete(target.closest("[data-uuid]").dataset.uuid);
+    this.preview = null;
+    this.render();
+  }
+
+  static async _onPreview(event, target) {
+    const preset = this.preset;
+    if (!preset) return;
+    this.preview = Module.previewPreset(preset, await this._getTargetItems());
+    this.render();
+  }
+
+  static async _onApply(event, target) {
+    const preset = this.preset;
+    if (!preset) return;
+    if ((this.target.type === "compendium") && game.packs.get(this.target.pack)?.locked) {
+      ui.notifications.warn(game.i18n.localize("ROLLGROUPS.PresetPackLocked"));
+      return;
+    }
+    const items = await this._getTargetItems();
+    const count = Module.previewPreset(preset, items).filter(c => c.changed).length;
+    const confirm = await foundry.applications.api.DialogV2.confirm({
+      window: {title: game.i18n.localize("ROLLGROUPS.PresetApply")},
+      content: `<p>${game.i18n.format("ROLLGROUPS.PresetApplyContent", {name: preset.name, count})}</p>`
+    });
+    if (!confirm) return;
+    const changes = await Module.applyPreset(preset, items);
+    ui.notifications.info(game.i18n.format("ROLLGROUPS.PresetApplied", {name: preset.name, count: changes.length}));
+    this.preview = null;
+    this.render();
   }
 }
 
 /* -------------------------
-   SaveConfig (UI dialog)
+   AuditReport (UI dialog)
    ------------------------- */
-class SaveConfig extends HandlebarsApplicationMixin(DocumentSheetV2) {
+class AuditReport extends HandlebarsApplicationMixin(ApplicationV2) {
   static DEFAULT_OPTIONS = {
-    tag: "form",
-    position: { height: "auto", width: 400 },
-    window: { icon: "fa-solid fa-person-falling-burst", contentClasses: ["standard-form"] },
-    form: { submitOnChange: false, closeOnSubmit: true }
+    id: "rollgroups-audit",
+    classes: ["rollgroups", "audit-report"],
+    position: {height: "auto", width: 560},
+    window: {icon: "fa-solid fa-clipboard-check", title: "ROLLGROUPS.Audit", contentClasses: ["standard-form"]},
+    actions: {openItem: this._onOpenItem, refresh: this._onRefresh}
   };
 
-  static PARTS = {
-    form: { template: `modules/${Module.ID}/templates/save-config.hbs` },
-    footer: { template: `modules/${Module.ID}/templates/footer.hbs` }
-  };
+  static PARTS = {report: {template: `modules/${Module.ID}/templates/audit-report.hbs`}};
 
-  get title() {
-    return game.i18n.format("ROLLGROUPS.SaveConfigName", { name: this.document.name });
+  async _prepareContext(options) {
+    const items = [...game.items, ...game.actors.flatMap(actor => Array.from(actor.items))];
+    const entries = items.reduce((acc, item) => {
+      const {errors, warnings} = Module.validateConfig(item);
+      if (errors.length || warnings.length) {
+        acc.push({uuid: item.uuid, name: item.name, parent: item.parent?.name ?? "", errors, warnings});
+      }
+      return acc;
+    }, []);
+    return {entries, checked: items.filter(i => i.flags?.[Module.ID]?.config).length};
   }
 
-  async _prepareContext(options) {
-    const configSet = new Set(this.document.flags[Module.ID]?.config?.saves ?? []);
-    const abilities = Object.entries(CONFIG[Module.system.toUpperCase()].abilities).map(([key, data]) => ({
-      value: configSet.has(key),
-      name: `flags.rollgroups.config.saves.${key}`,
-      label: data.label,
-      disabled: key === this.document.system.save?.ability,
-      rootId: this.document.id
-    }));
-    return { abilities };
+  static async _onOpenItem(event, target) {
+    const item = await fromUuid(target.closest("[data-uuid]").dataset.uuid);
+    item?.sheet.render(true);
   }
 
-  _prepareSubmitData(event, form, formData) {
-    const submitData = super._prepareSubmitData(event, form, formData);
-    const path = "flags.rollgroups.config.saves";
-    const pick = Object.entries(foundry.utils.getProperty(submitData, path) || {}).reduce((acc, [k, v]) => {
-      if (v) acc.push(k);
-      return acc;
-    }, []);
-    foundry.utils.setProperty(submitData, path, pick);
-    return submitData;
+  static _onRefresh(event, target) {
+    this.render();
   }
 }
 
 /* -------------------------
-   WeaponPicker dialog
+   GroupStatistics (UI dialog)
    ------------------------- */
-class WeaponPicker extends dnd5e.applications.DialogMixin(Application) {
-  constructor(event) {
-    super();
-    const target = event.currentTarget;
-    this.actor = foundry.utils.fromUuidSync(target.dataset.actorUuid) ?? game.actors.get(target.dataset.actorId);
-    const isNPC = this.actor?.type === "npc";
-    this.cantrip = this.actor?.items.get(target.closest("[data-item-id]")?.dataset?.itemId);
-    this.equippedWeapons = (this.actor?.items ?? new Collection()).filter(item =>
-      item.type === "weapon" && (isNPC || item.system?.equipped) && item.hasAttack && item.hasDamage
-    );
-  }
+class GroupStatistics extends HandlebarsApplicationMixin(ApplicationV2) {
+  static DEFAULT_OPTIONS = {
+    classes: ["rollgroups", "group-statistics"],
+    position: {height: "auto", width: 560},
+    window: {icon: "fa-solid fa-chart-column", contentClasses: ["standard-form"]},
+    actions: {exportCsv: this._onExportCsv, clear: this._onClear, refresh: this._onRefresh},
+    item: null
+  };
 
-  static get defaultOptions() {
-    return foundry.utils.mergeObject(super.defaultOptions, {
-      template: `modules/${Module.ID}/templates/weapon_picker.hbs`,
-      classes: [Module.ID, "weapon-picker", "dnd5e2", "dialog"],
-      height: "auto",
-      width: "auto"
-    });
+  static PARTS = {statistics: {template: `modules/${Module.ID}/templates/group-statistics.hbs`}};
+
+  /**
+   * The item whose groups are shown.
+   * @type {Item5e}
+   */
+  get item() {
+    return this.options.item;
   }
 
   get title() {
-    return game.i18n.format("ROLLGROUPS.PickWeapon", { name: this.cantrip?.name || "Weapon" });
+    return game.i18n.format("ROLLGROUPS.StatisticsTitle", {name: this.item.name});
   }
 
-  async getData() {
-    return { weapons: this.equippedWeapons.map(w => ({ weapon: w, context: Module.createDamageButtons(w) })) };
+  async _prepareContext(options) {
+    const groups = Module.getGroupStatistics(this.item);
+    return {groups, total: groups.reduce((acc, g) => acc + g.count, 0)};
   }
 
-  activateListeners(html) {
-    super.activateListeners(html);
-    html.querySelectorAll("[data-action='attack']").forEach(n => n.addEventListener("click", this._onClickAttack.bind(this)));
-    html.querySelectorAll("[data-action='rollgroup-damage']").forEach(n => n.addEventListener("click", this._onClickDamage.bind(this)));
-    html.querySelector(".weapons")?.addEventListener("wheel", this._onScrollWeapons.bind(this));
-    html.querySelectorAll("[data-action='roll']").forEach(n => n.addEventListener("click", this._onQuickRoll.bind(this)));
-    html.querySelectorAll("button").forEach(n => n.classList.add("gold-button"));
+  static _onExportCsv(event, target) {
+    Module.exportHistory(this.item);
   }
 
-  async _onQuickRoll(event) {
-    const weapon = this.actor.items.get(event.currentTarget.closest("[data-item-id]")?.dataset?.itemId);
-    const attack = await weapon?.rollAttack?.({ event });
-    if (!attack) return null;
-    this.close();
-    return weapon?.rollDamageGroup?.({ options: { rollConfigs: this._scaleCantripDamage() } });
+  static async _onClear(event, target) {
+    const confirm = await foundry.applications.api.DialogV2.confirm({
+      window: {title: game.i18n.localize("ROLLGROUPS.StatisticsClear")},
+      content: `<p>${game.i18n.format("ROLLGROUPS.StatisticsClearContent", {name: this.item.name})}</p>`
+    });
+    if (!confirm) return;
+    await Module.clearHistory(this.item);
+    this.render();
   }
 
-  _onScrollWeapons(event) {
-    event.preventDefault();
-    event.currentTarget.scrollLeft += 1.5 * event.deltaY;
+  static _onRefresh(event, target) {
+    this.render();
   }
+}
 
-  async _onClickAttack(event) {
-    return this.actor.items.get(event.currentTarget.closest("[data-item-id]")?.dataset?.itemId)?.rollAttack?.({ event });
-  }
+/* -------------------------
+   WeaponPicker dialog
+   ------------------------- */
+/**
+ * Create the weapon picker application on top of a base application class.
+ * @param {typeof Application} Base     The base class, with the system's dialog styling if it has any.
+ * @returns {typeof Application}
+ */
+function createWeaponPicker(Base) {
+  return class WeaponPicker extends Base {
+    constructor(event) {
+      super();
+      const target = event.currentTarget;
+      this.actor = foundry.utils.fromUuidSync(target.dataset.actorUuid) ?? game.actors.get(target.dataset.actorId);
+      const isNPC = this.actor?.type === "npc";
+      this.cantrip = foundry.utils.fromUuidSync(target.dataset.itemUuid)
+        ?? this.actor?.items.get(target.closest("[data-item-id]")?.dataset?.itemId);
+      this.cantripActivity = this.cantrip?.system.activities?.get(target.dataset.activityId)
+        ?? Module.getDamageActivities(this.cantrip)[0];
+      this.rider = target.dataset.action === "rollgroup-rider-pick";
 
-  async _onClickDamage(event) {
-    const weapon = this.actor.items.get(event.currentTarget.closest("[data-item-id]")?.dataset?.itemId);
-    this.close();
+      // The outcome of the latest attack made with the picker, used by the next damage roll with the same weapon.
+      this.attack = null;
 
-    const parts = this._scaleCantripDamage();
-    const versatile = event.currentTarget.dataset.versatile !== undefined;
-    const group = event.currentTarget.dataset.group !== undefined;
+      const rules = Module.getWeaponRules(this.cantrip);
+      this.exclusions = new Map();
+      for (const item of this.actor?.items ?? []) {
+        if ((item.type !== "weapon") || !WeaponPicker.getAttackActivity(item)) continue;
+        this.exclusions.set(item.id, WeaponPicker.getExclusions(item, rules, {isNPC}));
+      }
+      this.equippedWeapons = this.actor?.items.filter(item => this.exclusions.get(item.id)?.length === 0) ?? [];
+      this.excludedWeapons = this.actor?.items.filter(item => this.exclusions.get(item.id)?.length > 0) ?? [];
+    }
 
-    const config = { event, options: { rollConfigs: parts }, versatile };
-    if (versatile) config.rollgroup = Number(weapon.flags?.[Module.ID]?.config?.versatile ?? 0);
-    else if (group) config.rollgroup = Number(event.currentTarget.dataset.group);
+    /**
+     * Determine the reasons why a weapon cannot be used.
+     * @param {Item5e} weapon               The weapon.
+     * @param {object} rules                The weapon rules of the item, from `Module.getWeaponRules`.
+     * @param {object} [options]
+     * @param {boolean} [options.isNPC]     NPCs can use any of their weapons, equipped or not.
+     * @returns {string[]}                  The localized reasons. If empty, the weapon can be used.
+     */
+    static getExclusions(weapon, rules, {isNPC = false} = {}) {
+      const system = weapon.system;
+      const type = system.type?.value;
+      const properties = system.properties ?? new Set();
+      const attackType = Module.adapter.weaponAttackType(type);
+      const reasons = [];
 
-    return weapon?.rollDamageGroup?.(config);
-  }
+      if ((type === "natural") && !rules.natural) reasons.push("ROLLGROUPS.ExcludedNatural");
+      if ((attackType === "melee") && !rules.melee) reasons.push("ROLLGROUPS.ExcludedMelee");
+      if ((attackType === "ranged") && !rules.ranged) reasons.push("ROLLGROUPS.ExcludedRanged");
+      if (properties.has("thr") && !rules.thrown) reasons.push("ROLLGROUPS.ExcludedThrown");
+      if (rules.proficient && !(system.prof?.hasProficiency ?? system.proficient)) reasons.push("ROLLGROUPS.ExcludedProficiency");
+      if (!isNPC && !rules.unequipped && !system.equipped) reasons.push("ROLLGROUPS.ExcludedUnequipped");
+
+      const localized = reasons.map(r => game.i18n.localize(r));
+      if (rules.properties.length && !rules.properties.some(p => properties.has(p))) {
+        const list = rules.properties.map(p => Module.adapter.weaponProperties[p] ?? p);
+        localized.push(game.i18n.format("ROLLGROUPS.ExcludedProperties", {
+          properties: game.i18n.getListFormatter({type: "disjunction"}).format(list)
+        }));
+      }
+      return localized;
+    }
 
-  _scaleCantripDamage() {
-    // Default safe fallback
-    if (!this.cantrip?.system?.damage?.parts?.length) return { parts: [], type: null };
+    /**
+     * Retrieve the first attack activity of a weapon that also rolls damage.
+     * @param {Item5e} item           The weapon.
+     * @returns {Activity|null}       The attack activity.
+     */
+    static getAttackActivity(item) {
+      const attacks = item?.system?.activities?.getByType?.("attack") ?? [];
+      return attacks.find(a => Module.getDamageParts(a).length > 0) ?? null;
+    }
 
-    const part = this.cantrip.system.damage.parts[0];
-    const level = Number(this.actor?.system?.details?.level ?? this.actor?.system?.details?.spellLevel ?? 1);
-    const add = Math.floor((level + 1) / 6); // replicate previous behavior
-    const formula = Module.scaleDiceFormula(part[0], add);
-    return { parts: [formula], type: part[1] };
-  }
+    static get defaultOptions() {
+      return foundry.utils.mergeObject(super.defaultOptions, {
+        template: `modules/${Module.ID}/templates/weapon_picker.hbs`,
+        classes: [Module.ID, "weapon-picker", ...Module.adapter.dialogClasses],
+        height: "auto",
+        width: "auto"
+      });
+    }
+
+    get title() {
+      return game.i18n.format("ROLLGROUPS.PickWeapon", {name: this.cantrip?.name || "Weapon"});
+    }
+
+    async getData() {
+      return {
+        weapons: this.equippedWeapons.concat(this.excludedWeapons).map(w => {
+          const reasons = this.exclusions.get(w.id);
+          return {
+            weapon: w,
+            isVersatile: w.system.isVersatile ?? w.isVersatile,
+            isOffhand: !!w.system.properties?.has?.("lgt"),
+            context: Module.createDamageButtons(WeaponPicker.getAttackActivity(w)),
+            excluded: reasons.length > 0,
+            reasons: reasons.join("<br>"),
+            disabled: (reasons.length > 0) && !game.user.isGM
+          };
+        })
+      };
+    }
+
+    activateListeners(html) {
+      super.activateListeners(html);
+      html = Module.toElement(html);
+      html.querySelectorAll("[data-action='attack']").forEach(n => n.addEventListener("click", this._onClickAttack.bind(this)));
+      html.querySelectorAll("[data-action^='rollgroup-damage']").forEach(n => n.addEventListener("click", this._onClickDamage.bind(this)));
+      html.querySelector(".weapons")?.addEventListener("wheel", this._onScrollWeapons.bind(this));
+      html.querySelectorAll("[data-action='roll']").forEach(n => n.addEventListener("click", this._onQuickRoll.bind(this)));
+      html.querySelectorAll("button").forEach(n => n.classList.add("gold-button"));
+      html.querySelectorAll(".weapon.disabled button").forEach(n => n.disabled = true);
+    }
+
+    /**
+     * Retrieve the weapon of the clicked element.
+     * @param {Event} event       The initiating click event.
+     * @returns {Item5e|null}
+     */
+    _getWeapon(event) {
+      const weapon = this.actor.items.get(event.currentTarget.closest("[data-item-id]")?.dataset?.itemId) ?? null;
+      if (!weapon || (this.exclusions.get(weapon.id)?.length && !game.user.isGM)) return null;
+      return weapon;
+    }
+
+    async _onQuickRoll(event) {
+      const weapon = this._getWeapon(event);
+      const activity = WeaponPicker.getAttackActivity(weapon);
+      if (!activity) return null;
+      const attack = await activity?.rollAttack?.({event});
+      if (!attack?.length) return null;
+      this.close();
+      const outcome = Module.getAttackOutcome(attack[0], Module.getTargetDescriptors());
+      return this._rollDamage(() => weapon.rollDamageGroup({
+        activity: activity.id,
+        critical: outcome.critical,
+        options: {rolls: this._scaleCantripDamage(), [Module.ID]: {attack: outcome}}
+      }));
+    }
+
+    _onScrollWeapons(event) {
+      event.preventDefault();
+      event.currentTarget.scrollLeft += 1.5 * event.deltaY;
+    }
+
+    async _onClickAttack(event) {
+      const weapon = this._getWeapon(event);
+      const attack = await WeaponPicker.getAttackActivity(weapon)?.rollAttack?.({event});
+      if (attack?.length) this.attack = {weaponId: weapon.id, outcome: Module.getAttackOutcome(attack[0], Module.getTargetDescriptors())};
+      return attack;
+    }
+
+    async _onClickDamage(event) {
+      const weapon = this._getWeapon(event);
+      const activity = WeaponPicker.getAttackActivity(weapon);
+      if (!activity) return null;
+      this.close();
+
+      const rolls = this._scaleCantripDamage();
+      const versatile = event.currentTarget.dataset.versatile !== undefined;
+      const offhand = event.currentTarget.dataset.offhand !== undefined;
+      const group = event.currentTarget.dataset.group !== undefined;
+
+      const config = {event, activity: activity.id, options: {rolls}, versatile, offhand};
+      const outcome = (this.attack?.weaponId === weapon.id) ? this.attack.outcome : null;
+      if (outcome) {
+        config.critical = outcome.critical;
+        config.options[Module.ID] = {attack: outcome};
+      }
+      if (versatile) config.rollgroup = Module.getActivityConfig(activity).versatile ?? 0;
+      else if (offhand) config.rollgroup = Module.getActivityConfig(activity).offhand ?? 0;
+      else if (group) config.rollgroup = event.currentTarget.dataset.group;
+
+      return this._rollDamage(() => weapon.rollDamageGroup(config));
+    }
+
+    /**
+     * Roll a weapon's damage from the picker. The rider the picker was opened for is armed right before, so that it
+     * is added to the roll, and disarmed again if no damage was rolled.
+     * @param {Function} roll                   The function that rolls the damage.
+     * @returns {Promise<DamageRoll[]|null>}    The damage rolls.
+     */
+    async _rollDamage(roll) {
+      if (!this.rider) return roll();
+      const actor = this.cantripActivity.actor;
+      const key = Module.riderKey(this.cantripActivity);
+      const armed = !!actor?.getFlag(Module.ID, `riders.${key}`);
+      if (!armed) await Module.armRider(this.cantripActivity);
+      const rolls = await roll();
+      if (!armed && !rolls?.length && actor?.getFlag(Module.ID, `riders.${key}`)) await Module.disarmRider(actor, key);
+      return rolls ?? null;
+    }
+
+    /**
+     * Construct the additional damage rolls of the cantrip, scaled to the caster's level.
+     * @returns {object[]}      Roll configurations.
+     */
+    _scaleCantripDamage() {
+      // The damage of riders is added by the damage roll itself.
+      if (this.rider) return [];
+      const activity = this.cantripActivity;
+      let parts = Module.getDamageParts(activity);
+      // Default safe fallback
+      if (!parts.length) return [];
+
+      // If the cantrip has roll groups, only its first group is added to the weapon.
+      const group = Module.getActivityConfig(activity).groups?.[0];
+      if (group?.parts?.length) parts = parts.filter(p => group.parts.includes(p.id));
+
+      const groupScaling = group?.scaling ?? {};
+      const hasGroupScaling = (groupScaling.mode ?? "none") !== "none";
+      const steps = Module.getScalingSteps(activity, hasGroupScaling ? groupScaling.mode : "cantrip");
+      const rollData = this.cantrip.getRollData();
+      return parts.map(part => {
+        let add = 0;
+        if (hasGroupScaling) add = steps * (Number(groupScaling.number) || 1);
+        else if (part.scaling?.mode) add = steps * (Number(part.scaling.number) || 1);
+        const formula = Module.scaleDiceFormula(part.formula, add, {term: Number(groupScaling.term) || 0});
+        return {parts: [formula], data: rollData, options: {type: part.types[0], types: part.types}};
+      });
+    }
+  };
 }
 
 /* -------------------------
    Setup
    ------------------------- */
 Hooks.once("setup", () => Module.setup());
+Hooks.once("ready", () => Module.migrateWorld());